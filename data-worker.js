@@ -0,0 +1,35 @@
+// Data Worker - runs the dashboard data pipeline (parsing, validation, metrics) off the main thread.
+// The first message names the libraries and dashboard script to load, plus the data source settings from
+// config.json; later ones are pipeline jobs.
+let ready = false;
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'init':
+            try {
+                importScripts(...message.libraries, message.scriptUrl);
+                Object.assign(DATA_SOURCE_CONFIG, message.dataSource);
+                ready = true;
+            } catch (error) {
+                self.postMessage({ type: 'fatal', message: `Failed to load worker scripts: ${error.message}` });
+            }
+            break;
+        case 'run':
+            if (!ready) {
+                self.postMessage({ type: 'fatal', message: 'Worker scripts are not loaded' });
+                return;
+            }
+
+            try {
+                const result = runDataPipeline(message.job, (stage, percent) => {
+                    self.postMessage({ type: 'progress', id: message.id, stage, percent });
+                });
+                self.postMessage({ type: 'result', id: message.id, result });
+            } catch (error) {
+                self.postMessage({ type: 'error', id: message.id, message: error.message });
+            }
+            break;
+    }
+};
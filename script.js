@@ -1,1231 +1,6325 @@
-// AWS Configuration and Initialization
+// Application Configuration - environment specific values live in config.json next to index.html,
+// so the same build can point at real Cognito or at a local OIDC stand-in
+const APP_CONFIG_URL = 'config.json';
+
+// AWS Configuration and Initialization - filled from the "aws" section of config.json
 const AWS_CONFIG = {
-    region: 'eu-north-1',  // Remove the asterisk
-    bucketName: 'aux-data-bucket'
+    region: null,
+    bucketName: null,
+    identityPoolId: null
+};
+
+// Authentication Configuration - filled from the "auth" section of config.json
+const AUTH_CONFIG = {
+    issuer: null,
+    clientId: null,
+    redirectUri: null,
+    logoutRedirectUri: null,
+    scope: 'openid email profile',
+    // Explicit endpoints win over OIDC discovery; Cognito publishes no end-session endpoint
+    endpoints: {
+        authorization: null,
+        token: null,
+        endSession: null
+    },
+    // Tokens are refreshed this long before they expire, so AWS credentials never see a stale one
+    refreshLeewaySeconds: 60,
+    storageKey: 'authSession',
+    requestKey: 'authRequest'
+};
+
+// Dashboard tabs, in navigation order
+const DASHBOARD_TABS = ['planning', 'productivity', 'program', 'quality', 'risk'];
+
+// Access Control - role and region claims from the ID token; overridable from the "access" section of config.json
+const ACCESS_CONFIG = {
+    roleClaim: 'cognito:groups',
+    regionClaim: 'custom:regions',
+    // Tabs limited to certain roles; tabs not listed here are open to every signed-in user
+    tabRoles: {
+        quality: ['qa-lead', 'admin']
+    },
+    // Roles confined to the regions in regionClaim, unless the user also holds an unscoped role
+    regionScopedRoles: ['regional-manager'],
+    unscopedRoles: ['admin']
 };
 
+async function loadAppConfig(url = APP_CONFIG_URL) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+    }
+
+    const config = await response.json();
+    Object.assign(AWS_CONFIG, config.aws);
+    Object.assign(ACCESS_CONFIG, config.access);
+    Object.assign(AUTH_CONFIG, config.auth, {
+        endpoints: {
+            ...AUTH_CONFIG.endpoints,
+            ...config.auth?.endpoints
+        }
+    });
+    Object.assign(DATA_SOURCE_CONFIG, config.dataSource, {
+        files: {
+            ...DATA_SOURCE_CONFIG.files,
+            ...config.dataSource?.files
+        },
+        http: {
+            ...DATA_SOURCE_CONFIG.http,
+            ...config.dataSource?.http,
+            endpoints: {
+                ...DATA_SOURCE_CONFIG.http.endpoints,
+                ...config.dataSource?.http?.endpoints
+            }
+        },
+        retry: {
+            ...DATA_SOURCE_CONFIG.retry,
+            ...config.dataSource?.retry
+        }
+    });
+}
+
 // Initialize AWS SDK with Cognito credentials
 async function initializeAWS(token) {
     if (!token) {
         throw new Error('Authentication token is required');
     }
 
+    const loginProvider = AuthService.getLoginProvider();
     AWS.config.update({
         region: AWS_CONFIG.region,
         credentials: new AWS.CognitoIdentityCredentials({
-            IdentityPoolId: 'eu-north-1:98c07095-e731-4219-bebe-db4dab892ea8',
+            IdentityPoolId: AWS_CONFIG.identityPoolId,
             Logins: {
-                'cognito-idp.eu-north-1.amazonaws.com/eu-north-1_V9kLPNVXl': token
+                [loginProvider]: token
             }
         })
     });
 
+    // Hand refreshed ID tokens to the SDK; expiring the credentials makes it exchange the new one
+    const removeRefreshListener = AuthService.onTokenRefresh(idToken => {
+        AWS.config.credentials.params.Logins[loginProvider] = idToken;
+        AWS.config.credentials.expired = true;
+    });
+
     // Wait for credentials to be initialized
     return new Promise((resolve, reject) => {
         AWS.config.credentials.get(err => {
-            if (err) reject(err);
-            else resolve(new AWS.S3());
+            if (err) {
+                removeRefreshListener();
+                reject(err);
+            } else {
+                resolve(new AWS.S3());
+            }
         });
     });
 }
 
-class DashboardManager {
-        constructor(token) {
-        this.token = token;
-        this.currentTab = 'planning';
-        this.currentTimeframe = 'monthly';
-        this.dateRange = {
-            start: moment().subtract(30, 'days'),
-            end: moment()
-        };
-        this.charts = {};
-        this.data = {
-            rawData: null,
-            processedData: null
-        };
-        this.isLoading = false;
-        this.lastUpdate = null;
-
-        // Initialize components
-        this.initializeComponents();
-        this.setupEventListeners();
-        this.loadInitialData();
-    }
+// Authentication - OIDC authorization code flow with PKCE against the Cognito hosted UI, or any
+// provider that serves a discovery document. Tokens live in sessionStorage for the tab's lifetime.
+class AuthService {
+    static session = null;
+    static metadata = null;
+    static refreshTimer = null;
+    static refreshListeners = new Set();
 
-    // Component Initialization
-    initializeComponents() {
-        this.initializeDateRangePicker();
-        this.initializeChartDefaults();
-        this.setupLoadingIndicator();
-        this.setupErrorHandling();
-    }
+    // Resolves to the ID token, or null when the login screen is shown instead
+    static async ensureAuthenticated() {
+        try {
+            const params = new URLSearchParams(window.location.search);
+            if (params.has('code') || params.has('error')) {
+                await AuthService.handleRedirectCallback(params);
+            } else {
+                AuthService.session = AuthService.loadSession();
+            }
 
-    // Initialize Date Range Picker
-    initializeDateRangePicker() {
-        $('input[name="daterange"]').daterangepicker({
-            startDate: this.dateRange.start,
-            endDate: this.dateRange.end,
-            ranges: {
-                'Today': [moment(), moment()],
-                'Yesterday': [moment().subtract(1, 'days'), moment().subtract(1, 'days')],
-                'Last 7 Days': [moment().subtract(6, 'days'), moment()],
-                'Last 30 Days': [moment().subtract(29, 'days'), moment()],
-                'This Month': [moment().startOf('month'), moment().endOf('month')],
-                'Last Month': [moment().subtract(1, 'month').startOf('month'), 
-                             moment().subtract(1, 'month').endOf('month')]
+            if (AuthService.session && AuthService.isExpiring(AuthService.session)) {
+                await AuthService.refreshTokens();
             }
-        }, (start, end) => {
-            this.dateRange = { start, end };
-            this.updateDashboard();
-        });
-    }
+        } catch (error) {
+            console.error('Authentication failed:', error);
+            AuthService.clearSession();
+            AuthService.showLoginScreen(error.message);
+            return null;
+        }
 
-    // Initialize Chart.js Defaults
-    initializeChartDefaults() {
-        Chart.defaults.font.family = "'Segoe UI', 'Helvetica Neue', 'Arial', sans-serif";
-        Chart.defaults.color = '#666666';
-        Chart.defaults.responsive = true;
-        Chart.defaults.maintainAspectRatio = false;
+        if (!AuthService.session) {
+            AuthService.showLoginScreen();
+            return null;
+        }
+
+        AuthService.scheduleRefresh();
+        return AuthService.session.idToken;
     }
 
-    // Setup Event Listeners
-    setupEventListeners() {
-        // Tab navigation
-        document.querySelectorAll('.main-nav a').forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.switchTab(e.target.dataset.tab);
-            });
-        });
+    static async login() {
+        const { authorization } = await AuthService.getMetadata();
+        const verifier = AuthService.randomString(32);
+        const state = AuthService.randomString(16);
 
-        // Timeframe selector
-        document.getElementById('timeframe-select').addEventListener('change', (e) => {
-            this.currentTimeframe = e.target.value;
-            this.updateDashboard();
-        });
+        sessionStorage.setItem(AUTH_CONFIG.requestKey, JSON.stringify({
+            state,
+            verifier,
+            returnTo: `${window.location.pathname}${window.location.search}${window.location.hash}`
+        }));
 
-        // Refresh button
-        document.getElementById('refresh-data').addEventListener('click', () => {
-            this.loadData();
+        const url = new URL(authorization);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: AUTH_CONFIG.clientId,
+            redirect_uri: AuthService.getRedirectUri(),
+            scope: AUTH_CONFIG.scope,
+            state,
+            code_challenge: await AuthService.createCodeChallenge(verifier),
+            code_challenge_method: 'S256'
         });
+        window.location.assign(url.toString());
+    }
 
-        // Export button
-        document.getElementById('export-data').addEventListener('click', () => {
-            this.exportDashboardData();
-        });
+    static async logout() {
+        const idToken = AuthService.session?.idToken;
+        AuthService.clearSession();
 
-        // Error message close button
-        document.querySelector('.close-error')?.addEventListener('click', () => {
-            this.hideError();
+        let endSession = null;
+        try {
+            ({ endSession } = await AuthService.getMetadata());
+        } catch (error) {
+            console.warn('Could not resolve the end-session endpoint:', error);
+        }
+
+        if (!endSession) {
+            AuthService.showLoginScreen('You have been signed out.');
+            return;
+        }
+
+        // Cognito reads client_id/logout_uri, standard OIDC providers post_logout_redirect_uri/id_token_hint
+        const returnTo = AUTH_CONFIG.logoutRedirectUri || AuthService.getRedirectUri();
+        const url = new URL(endSession);
+        url.search = new URLSearchParams({
+            client_id: AUTH_CONFIG.clientId,
+            logout_uri: returnTo,
+            post_logout_redirect_uri: returnTo,
+            ...(idToken && { id_token_hint: idToken })
         });
+        window.location.assign(url.toString());
     }
 
-    // Loading Indicator Management
-    setupLoadingIndicator() {
-        this.loadingOverlay = document.getElementById('loading-overlay');
-    }
+    static async handleRedirectCallback(params) {
+        const request = JSON.parse(sessionStorage.getItem(AUTH_CONFIG.requestKey) || 'null');
+        sessionStorage.removeItem(AUTH_CONFIG.requestKey);
 
-    showLoading() {
-        this.isLoading = true;
-        this.loadingOverlay.classList.remove('hidden');
-    }
+        // Put the pre-login URL back before anything else reads the query string
+        history.replaceState(null, '', request?.returnTo || window.location.pathname);
 
-    hideLoading() {
-        this.isLoading = false;
-        this.loadingOverlay.classList.add('hidden');
-    }
+        if (params.has('error')) {
+            throw new Error(params.get('error_description') || params.get('error'));
+        }
+        if (!request || request.state !== params.get('state')) {
+            throw new Error('The sign-in response did not match this browser session. Please sign in again.');
+        }
 
-    // Error Handling
-    setupErrorHandling() {
-        this.errorToast = document.getElementById('error-message');
+        AuthService.saveSession(await AuthService.requestTokens({
+            grant_type: 'authorization_code',
+            code: params.get('code'),
+            redirect_uri: AuthService.getRedirectUri(),
+            code_verifier: request.verifier
+        }));
     }
 
-    showError(message) {
-        const errorText = this.errorToast.querySelector('.error-text');
-        errorText.textContent = message;
-        this.errorToast.classList.remove('hidden');
-        setTimeout(() => this.hideError(), 5000);
+    static async refreshTokens() {
+        const refreshToken = AuthService.session?.refreshToken;
+        if (!refreshToken) {
+            throw new Error('Your session has expired. Please sign in again.');
+        }
+
+        // Cognito does not rotate refresh tokens, so keep the current one unless a new one is issued
+        AuthService.saveSession({
+            refresh_token: refreshToken,
+            ...await AuthService.requestTokens({
+                grant_type: 'refresh_token',
+                refresh_token: refreshToken
+            })
+        });
+        AuthService.refreshListeners.forEach(listener => listener(AuthService.session.idToken));
     }
 
-    hideError() {
-        this.errorToast.classList.add('hidden');
+    static scheduleRefresh() {
+        clearTimeout(AuthService.refreshTimer);
+
+        const delay = AuthService.session.expiresAt - AUTH_CONFIG.refreshLeewaySeconds * 1000 - Date.now();
+        AuthService.refreshTimer = setTimeout(async () => {
+            try {
+                await AuthService.refreshTokens();
+                AuthService.scheduleRefresh();
+            } catch (error) {
+                console.error('Token refresh failed:', error);
+                AuthService.clearSession();
+                AuthService.showLoginScreen(error.message);
+            }
+        }, Math.max(0, delay));
     }
 
-async initialize() {
-    try {
-        this.s3 = await initializeAWS(this.token);
-        // Now proceed with other initializations
-        this.initializeComponents();
-        this.setupEventListeners();
-        await this.loadInitialData();
-    } catch (error) {
-        console.error('Failed to initialize dashboard:', error);
-        throw error;
+    static onTokenRefresh(listener) {
+        AuthService.refreshListeners.add(listener);
+        return () => AuthService.refreshListeners.delete(listener);
     }
-}
 
-    // Data Loading and Processing
-    async loadInitialData() {
-        try {
-            this.showLoading();
-            await this.loadData();
-            this.updateDashboard();
-        } catch (error) {
-            console.error('Error loading initial data:', error);
-            this.showError('Failed to load dashboard data');
-        } finally {
-            this.hideLoading();
+    static async requestTokens(params) {
+        const { token } = await AuthService.getMetadata();
+        const response = await fetch(token, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ client_id: AUTH_CONFIG.clientId, ...params })
+        });
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Token request failed: ${body.error_description || body.error || response.statusText}`);
         }
+        return body;
     }
 
-    // Data Loading from AWS S3
-    async loadData() {
-        try {
-            this.showLoading();
+    static async getMetadata() {
+        if (!AuthService.metadata) {
+            const { issuer, endpoints } = AUTH_CONFIG;
+            let discovered = {};
 
-            // Load Excel files from S3
-            const [projectStatus, issuesReport] = await Promise.all([
-                this.loadExcelFromS3('MS_Project_Status.xlsx'),
-                this.loadExcelFromS3('MS_Issues_Report.xlsx')
-            ]);
+            if (!endpoints.authorization || !endpoints.token || !endpoints.endSession) {
+                const response = await fetch(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+                if (!response.ok) {
+                    throw new Error(`OIDC discovery failed: ${response.status} ${response.statusText}`);
+                }
+                discovered = await response.json();
+            }
 
-            this.data.rawData = {
-                projectStatus,
-                issuesReport
+            AuthService.metadata = {
+                authorization: endpoints.authorization || discovered.authorization_endpoint,
+                token: endpoints.token || discovered.token_endpoint,
+                endSession: endpoints.endSession || discovered.end_session_endpoint || null
             };
+        }
+        return AuthService.metadata;
+    }
 
-            this.data.processedData = this.processData(projectStatus, issuesReport);
-            this.lastUpdate = new Date();
-            document.getElementById('last-updated').textContent = this.lastUpdate.toLocaleString();
+    // Session Storage
+    static saveSession(tokens) {
+        const claims = AuthService.decodeToken(tokens.id_token);
+        AuthService.session = {
+            idToken: tokens.id_token,
+            accessToken: tokens.access_token,
+            refreshToken: tokens.refresh_token || null,
+            expiresAt: claims.exp ? claims.exp * 1000 : Date.now() + (tokens.expires_in || 3600) * 1000
+        };
 
-            this.updateDashboard();
+        try {
+            sessionStorage.setItem(AUTH_CONFIG.storageKey, JSON.stringify(AuthService.session));
         } catch (error) {
-            console.error('Error loading data:', error);
-            this.showError('Failed to load data from server');
-        } finally {
-            this.hideLoading();
+            console.warn('Failed to persist auth session:', error);
         }
     }
 
-    // Load Excel File from S3
-    async loadExcelFromS3(filename) {
+    static loadSession() {
         try {
-            const params = {
-                Bucket: AWS_CONFIG.bucketName,
-                Key: filename
-            };
-
-            const response = await this.s3.getObject(params).promise();
-            const workbook = XLSX.read(response.Body, { type: 'array' });
-            
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
-            return XLSX.utils.sheet_to_json(worksheet);
+            return JSON.parse(sessionStorage.getItem(AUTH_CONFIG.storageKey));
         } catch (error) {
-            console.error(`Error loading ${filename}:`, error);
-            throw new Error(`Failed to load ${filename}`);
+            console.warn('Failed to load auth session:', error);
+            return null;
         }
     }
 
-    // Process Raw Data
-    processData(projectStatus, issuesReport) {
-        return {
-            planning: this.processPlanningMetrics(projectStatus, issuesReport),
-            productivity: this.processProductivityMetrics(projectStatus),
-            program: this.processProgramMetrics(projectStatus),
-            quality: this.processQualityMetrics(projectStatus, issuesReport)
-        };
+    static clearSession() {
+        clearTimeout(AuthService.refreshTimer);
+        AuthService.session = null;
+        sessionStorage.removeItem(AUTH_CONFIG.storageKey);
     }
 
-    // Process Planning Metrics
-    processPlanningMetrics(projectStatus, issuesReport) {
-        const filteredProjects = this.filterDataByDateRange(projectStatus);
-        
-        return {
-            projectVolume: this.calculateProjectVolume(filteredProjects),
-            turnaroundTimes: this.calculateTurnaroundTimes(filteredProjects),
-            statusOverview: this.calculateStatusOverview(filteredProjects)
-        };
+    static isExpiring(session) {
+        return Date.now() >= session.expiresAt - AUTH_CONFIG.refreshLeewaySeconds * 1000;
     }
 
-    // Process Productivity Metrics
-    processProductivityMetrics(projectStatus) {
-        const filteredProjects = this.filterDataByDateRange(projectStatus);
-        
-        return {
-            executionMetrics: this.calculateExecutionMetrics(filteredProjects),
-            timelineAnalytics: this.calculateTimelineAnalytics(filteredProjects),
-            resourceUtilization: this.calculateResourceUtilization(filteredProjects)
-        };
+    // Claims and Identity
+    static getClaims() {
+        return AuthService.session ? AuthService.decodeToken(AuthService.session.idToken) : {};
     }
 
-    // Process Program Metrics
-    processProgramMetrics(projectStatus) {
-        const filteredProjects = this.filterDataByDateRange(projectStatus);
-        
-        return {
-            distribution: this.calculateProjectDistribution(filteredProjects),
-            geographic: this.calculateGeographicAnalysis(filteredProjects),
-            trends: this.calculateTrendAnalysis(filteredProjects)
-        };
+    static getDisplayName() {
+        const claims = AuthService.getClaims();
+        return claims.name || claims.email || claims['cognito:username'] || claims.sub || '';
     }
 
-    // Process Quality Metrics
-    processQualityMetrics(projectStatus, issuesReport) {
-        const filteredProjects = this.filterDataByDateRange(projectStatus);
-        const filteredIssues = this.filterDataByDateRange(issuesReport);
-        
-        return {
-            defects: this.calculateDefectMetrics(filteredIssues),
-            quality: this.calculateQualityScores(filteredProjects),
-            compliance: this.calculateComplianceMetrics(filteredProjects)
-        };
+    // Identity pool login key, e.g. cognito-idp.eu-north-1.amazonaws.com/eu-north-1_abc123
+    static getLoginProvider() {
+        const issuer = new URL(AUTH_CONFIG.issuer);
+        return `${issuer.host}${issuer.pathname}`.replace(/\/$/, '');
     }
 
-    // Data Calculation Methods
-    calculateProjectVolume(projects) {
-        const total = projects.length;
-        const active = projects.filter(p => p.status === 'Active').length;
-        const completed = projects.filter(p => p.status === 'Completed').length;
-        
-        return {
-            total,
-            active,
-            completed,
-            timeline: this.generateTimelineData(projects, 'volume')
-        };
+    static getRedirectUri() {
+        return AUTH_CONFIG.redirectUri || `${window.location.origin}${window.location.pathname}`;
     }
 
-    calculateTurnaroundTimes(projects) {
-        const completedProjects = projects.filter(p => p.status === 'Completed');
-        
-        const turnaroundTimes = completedProjects.map(project => ({
-            duration: moment(project.completionDate).diff(moment(project.startDate), 'days'),
-            projectType: project.type
-        }));
-
-        return {
-            average: this.calculateAverage(turnaroundTimes.map(t => t.duration)),
-            byType: this.groupByProjectType(turnaroundTimes),
-            timeline: this.generateTimelineData(completedProjects, 'turnaround')
-        };
+    static decodeToken(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const bytes = Uint8Array.from(atob(payload), char => char.charCodeAt(0));
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error('Received a malformed ID token');
+        }
     }
 
-    calculateStatusOverview(projects) {
-        const statusCounts = projects.reduce((acc, project) => {
-            acc[project.status] = (acc[project.status] || 0) + 1;
-            return acc;
-        }, {});
-
-        return {
-            counts: statusCounts,
-            percentages: this.calculatePercentages(statusCounts),
-            timeline: this.generateTimelineData(projects, 'status')
-        };
+    // PKCE Helpers
+    static randomString(byteLength) {
+        return AuthService.base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
     }
 
-    // Utility Methods
-    filterDataByDateRange(data) {
-        return data.filter(item => {
-            const itemDate = moment(item.date);
-            return itemDate.isBetween(this.dateRange.start, this.dateRange.end, 'day', '[]');
-        });
+    static async createCodeChallenge(verifier) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+        return AuthService.base64UrlEncode(new Uint8Array(digest));
     }
 
-    calculateAverage(numbers) {
-        return numbers.reduce((acc, val) => acc + val, 0) / numbers.length;
+    static base64UrlEncode(bytes) {
+        return btoa(String.fromCharCode(...bytes))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
     }
 
-    calculatePercentages(counts) {
-        const total = Object.values(counts).reduce((acc, val) => acc + val, 0);
-        const percentages = {};
-        
-        for (const [key, value] of Object.entries(counts)) {
-            percentages[key] = (value / total) * 100;
-        }
-        
-        return percentages;
-    }
+    // Login Screen - covers the dashboard until the user signs in
+    static showLoginScreen(message = '') {
+        const screen = document.getElementById('login-screen');
+        const error = screen.querySelector('.login-error');
+        const button = screen.querySelector('#login-button');
 
-    groupByProjectType(data) {
-        return data.reduce((acc, item) => {
-            if (!acc[item.projectType]) {
-                acc[item.projectType] = [];
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+        screen.classList.remove('hidden');
+
+        button.onclick = async () => {
+            button.disabled = true;
+            try {
+                await AuthService.login();
+            } catch (loginError) {
+                console.error('Failed to start sign-in:', loginError);
+                error.textContent = `Could not start sign-in: ${loginError.message}`;
+                error.classList.remove('hidden');
+                button.disabled = false;
             }
-            acc[item.projectType].push(item.duration);
-            return acc;
-        }, {});
+        };
     }
+}
 
-    generateTimelineData(data, metric) {
-        // Group data by date and calculate metrics
-        const timelineData = {};
-        const dateFormat = this.getDateFormatForTimeframe();
+// What the signed-in user may see: { roles, tabs, regions }. regions is null when unrestricted.
+// Plain data, so the data worker can enforce the same scope.
+function resolveAccess(claims, config = ACCESS_CONFIG) {
+    // Cognito sends groups as an array and custom attributes as comma-separated strings
+    const toList = value => (Array.isArray(value) ? value : String(value ?? '').split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+
+    const roles = toList(claims[config.roleClaim]);
+    const hasRole = allowed => (allowed || []).some(role => roles.includes(role));
+    const scoped = hasRole(config.regionScopedRoles) && !hasRole(config.unscopedRoles);
+
+    return {
+        roles,
+        tabs: DASHBOARD_TABS.filter(tab => !config.tabRoles[tab] || hasRole(config.tabRoles[tab])),
+        // A scoped role without a region claim sees no data rather than all of it
+        regions: scoped ? toList(claims[config.regionClaim]) : null
+    };
+}
 
-        data.forEach(item => {
-            const date = moment(item.date).format(dateFormat);
-            if (!timelineData[date]) {
-                timelineData[date] = [];
-            }
-            timelineData[date].push(item);
-        });
+// Data Source Configuration
+const DATA_SOURCE_CONFIG = {
+    type: 's3', // 's3' | 'file' | 'http'
+    files: {
+        projectStatus: 'MS_Project_Status.xlsx',
+        issuesReport: 'MS_Issues_Report.xlsx'
+    },
+    http: {
+        baseUrl: 'http://localhost:3000/api',
+        endpoints: {
+            projectStatus: 'project-status',
+            issuesReport: 'issues-report'
+        }
+    },
+    // Each dataset is retried on its own; the delay doubles after every failed attempt
+    retry: {
+        attempts: 3,
+        baseDelay: 1000
+    }
+};
 
-        return timelineData;
+// Chart cards that cannot be drawn without a dataset. Everything else still renders when it fails;
+// projectStatus feeds every tab, so losing it is handled as a full load failure instead.
+const DATASET_DEPENDENT_CARDS = {
+    issuesReport: ['defect-tracking']
+};
+
+// Offline Cache - raw S3 workbooks are kept in IndexedDB and revalidated by ETag
+const CACHE_CONFIG = {
+    dbName: 'ms-dashboard-cache',
+    storeName: 'workbooks',
+    version: 1,
+    // Data older than this is flagged in the stale-data banner even while online
+    staleAfterMinutes: 60
+};
+
+// Data Worker - parsing, validation and metric calculation run off the main thread.
+// The worker loads these libraries plus this script; without workers the pipeline runs inline.
+const WORKER_CONFIG = {
+    url: 'data-worker.js',
+    libraries: [
+        'https://cdn.jsdelivr.net/momentjs/latest/moment.min.js',
+        'https://cdn.jsdelivr.net/npm/xlsx/dist/xlsx.full.min.js'
+    ]
+};
+
+// Resolved while the page runs this script, so the worker can load the same file
+const DASHBOARD_SCRIPT_URL = typeof document !== 'undefined' ? document.currentScript?.src || null : null;
+
+// Recomputation - state changes arriving within this window (e.g. ticking several filters) are
+// recomputed once
+const RECOMPUTE_CONFIG = {
+    debounceMs: 150
+};
+
+// Timeframe Configuration
+const TIMEFRAME_CONFIG = {
+    biweeklyAnchor: '2024-01-01', // first day of a two-week period; every 14 days from here starts a new one
+    fiscalYearStartMonth: 1 // 1 = January; e.g. 10 makes FY2025 run Oct 2024 - Sep 2025
+};
+
+// Timeline Gap Filling - how each timeline chart shows buckets with no rows:
+// 'zero' plots 0, 'carry' repeats the previous bucket's value, 'gap' leaves a break in the line
+const TIMELINE_FILL_CONFIG = {
+    projectVolume: 'zero',
+    timelineAnalytics: 'zero',
+    trendAnalysis: 'gap',
+    defectTracking: 'zero',
+    qualityScores: 'carry',
+    complianceMetrics: 'gap',
+    riskTrend: 'carry'
+};
+
+// Productivity Configuration
+const PRODUCTIVITY_CONFIG = {
+    teamCapacityHoursPerMonth: 1600 // available hours across all teams per month
+};
+
+// Quality Configuration
+const QUALITY_CONFIG = {
+    targetScore: 90, // default target for the quality score KPI and its chart line
+    compliantValues: ['compliant', 'yes', 'y', 'true', 'pass', 'passed']
+};
+
+// KPI Targets - defaults for the targets dialog, keyed by summary card id. 'min' KPIs breach below their
+// thresholds and 'max' KPIs above; past the target is a warning, past the critical threshold critical.
+const KPI_CONFIG = {
+    kpis: {
+        'ontime-delivery': { label: 'On-Time Delivery', unit: '%', direction: 'min', target: 85, critical: 70 },
+        'avg-tat': { label: 'Average Turnaround', unit: ' days', direction: 'max', target: 30, critical: 45 },
+        'critical-defects': { label: 'Critical Defects', unit: '', direction: 'max', target: 5, critical: 10 },
+        'compliance-rate': { label: 'Compliance Rate', unit: '%', direction: 'min', target: 95, critical: 85 },
+        'avg-quality-score': {
+            label: 'Average Quality Score', unit: '', direction: 'min', target: QUALITY_CONFIG.targetScore, critical: 75
+        }
+    },
+    storageKey: 'kpiTargets'
+};
+
+// Alerts - status changes of the KPIs above, newest first
+const ALERT_CONFIG = {
+    historyKey: 'alertHistory',
+    maxHistory: 100,
+    statusLabels: {
+        ok: 'Back on target',
+        warning: 'Warning',
+        critical: 'Critical'
+    },
+    notificationTitle: 'MS Leadership Dashboard',
+    autoRefreshMinutes: 5
+};
+
+// Risk Configuration - default factor weights, editable from the risk weights dialog
+const RISK_CONFIG = {
+    weights: {
+        timeline: 0.3,
+        budget: 0.25,
+        complexity: 0.2,
+        dependencies: 0.15,
+        resources: 0.1
+    },
+    factorLabels: {
+        timeline: 'Timeline',
+        budget: 'Budget',
+        complexity: 'Complexity',
+        dependencies: 'Dependencies',
+        resources: 'Resources'
+    },
+    complexityScores: {
+        low: 20,
+        medium: 50,
+        high: 80,
+        'very high': 100
+    },
+    storageKey: 'riskWeights'
+};
+
+// Comparison Configuration - compare-mode labels, overlay styling and how deltas are judged
+const COMPARISON_CONFIG = {
+    labels: {
+        previous: 'Previous Period',
+        lastYear: 'Same Period Last Year'
+    },
+    overlayColor: '#6c757d',
+    // Summary cards where a falling value is an improvement
+    lowerIsBetter: [
+        'avg-tat', 'min-tat', 'max-tat', 'avg-delay',
+        'critical-defects', 'major-defects', 'compliance-violations',
+        'high-risk-count', 'medium-risk-count'
+    ]
+};
+
+// Data Grid - the rows behind the charts, shown below the active tab
+const GRID_CONFIG = {
+    pageSizes: [25, 50, 100, 250],
+    defaultPageSize: 50,
+    // Dataset each tab's grid opens with; tabs not listed show projects
+    tabSources: {
+        quality: 'issuesReport'
+    },
+    storageKey: 'gridHiddenColumns'
+};
+
+// Saved Views Configuration - named views live in localStorage and travel as a JSON file
+const SAVED_VIEWS_CONFIG = {
+    storageKey: 'savedViews',
+    exportFilename: 'dashboard_views.json'
+};
+
+// Chart colour palette for series without a fixed meaning (types, regions, priorities)
+const CHART_PALETTE = ['#ff9900', '#232f3e', '#17a2b8', '#28a745', '#ffc107', '#dc3545', '#6f42c1', '#fd7e14', '#20c997', '#6c757d'];
+
+// Base Data Source - every source resolves a dataset key to a payload: either { rows } or an
+// unparsed { workbook, type }. Parsing is left to the data pipeline so it can run in the worker.
+class DataSource {
+    constructor(config) {
+        this.config = config;
     }
 
-    // Chart Implementations
-    initializeCharts() {
-        // Planning Charts
-        this.charts.projectVolume = this.createProjectVolumeChart();
-        this.charts.turnaroundTimes = this.createTurnaroundTimesChart();
-        this.charts.statusOverview = this.createStatusOverviewChart();
+    isReady() {
+        return true;
+    }
 
-        // Productivity Charts
-        this.charts.executionMetrics = this.createExecutionMetricsChart();
-        this.charts.timelineAnalytics = this.createTimelineAnalyticsChart();
-        this.charts.resourceUtilization = this.createResourceUtilizationChart();
+    async fetchPayload(datasetKey) {
+        throw new Error(`${this.constructor.name} does not implement fetchPayload()`);
+    }
 
-        // Program Charts
-        this.charts.projectDistribution = this.createProjectDistributionChart();
-        this.charts.geographicAnalysis = this.createGeographicAnalysisChart();
-        this.charts.trendAnalysis = this.createTrendAnalysisChart();
+    async load(datasetKey) {
+        return DataSource.parsePayload(await this.fetchPayload(datasetKey));
+    }
 
-        // Quality Charts
-        this.charts.defectTracking = this.createDefectTrackingChart();
-        this.charts.qualityScores = this.createQualityScoresChart();
-        this.charts.complianceMetrics = this.createComplianceMetricsChart();
+    // Sources with an offline cache resolve to { payload, checkedAt }; others have nothing to fall back to
+    async loadCached(datasetKey) {
+        return null;
     }
 
-    createProjectVolumeChart() {
-        const ctx = document.getElementById('projectVolumeChart').getContext('2d');
-        return new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: [],
-                datasets: [{
-                    label: 'Total Projects',
-                    borderColor: '#ff9900',
-                    data: [],
-                    tension: 0.4
-                }, {
-                    label: 'Active Projects',
-                    borderColor: '#28a745',
-                    data: [],
-                    tension: 0.4
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        position: 'top'
-                    },
-                    tooltip: {
-                        mode: 'index',
-                        intersect: false
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        ticks: {
-                            precision: 0
-                        }
-                    }
-                }
-            }
-        });
+    static parsePayload(payload) {
+        return payload.rows || DataSource.parseWorkbook(payload.workbook, payload.type);
     }
 
-    createTurnaroundTimesChart() {
-        const ctx = document.getElementById('tatChart').getContext('2d');
-        return new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: [],
-                datasets: [{
-                    label: 'Average Turnaround Time (Days)',
-                    backgroundColor: '#17a2b8',
-                    data: []
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        position: 'top'
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true
-                    }
-                }
+    // Parse the first sheet of a workbook (xlsx or csv) into row objects
+    static parseWorkbook(data, type = 'array') {
+        const workbook = XLSX.read(data, { type, cellNF: true });
+        const firstSheetName = workbook.SheetNames[0];
+        const worksheet = workbook.Sheets[firstSheetName];
+
+        // Percent-formatted cells hold fractions (1 is 100%); pass them on as "100%" so the format is not lost
+        for (const [address, cell] of Object.entries(worksheet)) {
+            if (!address.startsWith('!') && cell.t === 'n' && cell.z?.includes('%')) {
+                worksheet[address] = { t: 's', v: `${Math.round(cell.v * 1e6) / 1e4}%` };
             }
-        });
+        }
+
+        return XLSX.utils.sheet_to_json(worksheet);
     }
+}
 
-    // Dashboard Update Methods
-    updateDashboard() {
-        if (!this.data.processedData) return;
+// Workbook Cache - small promise wrapper around one IndexedDB object store.
+// Records look like { key, etag, body, fetchedAt, checkedAt }.
+class WorkbookCache {
+    constructor(config = CACHE_CONFIG) {
+        this.config = config;
+        this.dbPromise = null;
+    }
 
-        switch (this.currentTab) {
-            case 'planning':
-                this.updatePlanningDashboard();
-                break;
-            case 'productivity':
-                this.updateProductivityDashboard();
-                break;
-            case 'program':
-                this.updateProgramDashboard();
-                break;
-            case 'quality':
-                this.updateQualityDashboard();
-                break;
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.config.dbName, this.config.version);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.config.storeName)) {
+                        db.createObjectStore(this.config.storeName, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         }
+        return this.dbPromise;
     }
 
-    updatePlanningDashboard() {
-        const planningData = this.data.processedData.planning;
-
-        // Update Project Volume Chart
-        this.updateProjectVolumeChart(planningData.projectVolume);
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.config.storeName, mode);
+            const request = operation(transaction.objectStore(this.config.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
 
-        // Update Turnaround Times Chart
-        this.updateTurnaroundTimesChart(planningData.turnaroundTimes);
+    async get(key) {
+        return (await this.run('readonly', store => store.get(key))) || null;
+    }
 
-        // Update Status Overview Chart
-        this.updateStatusOverviewChart(planningData.statusOverview);
+    put(record) {
+        return this.run('readwrite', store => store.put(record));
+    }
 
-        // Update Summary Metrics
-        this.updatePlanningMetrics(planningData);
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key));
     }
+}
 
-    updateProjectVolumeChart(data) {
-        const chart = this.charts.projectVolume;
-        const timelineData = this.formatTimelineData(data.timeline);
+// S3 Data Source - reads the workbooks from the configured bucket.
+// With a cache, objects are only downloaded again when their ETag has changed.
+// connect() resolves to an S3 client; it runs on first fetch, so an offline start can still use the cache.
+class S3DataSource extends DataSource {
+    constructor(config, connect, cache = null) {
+        super(config);
+        this.connect = connect;
+        this.client = null;
+        this.cache = cache;
+    }
 
-        chart.data.labels = timelineData.labels;
-        chart.data.datasets[0].data = timelineData.total;
-        chart.data.datasets[1].data = timelineData.active;
-        chart.update();
+    // A failed connection is forgotten, so the next load asks for credentials again
+    getClient() {
+        if (!this.client) {
+            this.client = this.connect().catch(error => {
+                this.client = null;
+                throw error;
+            });
+        }
+        return this.client;
     }
 
-    // Export Functionality
-    exportDashboardData() {
+    async fetchPayload(datasetKey) {
+        const filename = this.config.files[datasetKey];
+        const cacheKey = this.getCacheKey(filename);
+        const cached = await this.readCache(cacheKey);
+
         try {
-            const exportData = this.prepareExportData();
-            const timestamp = moment().format('YYYY-MM-DD_HH-mm');
-            const filename = `dashboard_export_${timestamp}.xlsx`;
+            const params = {
+                Bucket: AWS_CONFIG.bucketName,
+                Key: filename
+            };
+            if (cached?.etag) {
+                params.IfNoneMatch = cached.etag;
+            }
 
-            this.exportToExcel(exportData, filename);
+            const s3 = await this.getClient();
+            const response = await s3.getObject(params).promise();
+            const body = new Uint8Array(response.Body);
+            const now = Date.now();
+            await this.writeCache({
+                key: cacheKey,
+                etag: response.ETag,
+                body,
+                fetchedAt: now,
+                checkedAt: now
+            });
+            return { workbook: body, type: 'array' };
         } catch (error) {
-            console.error('Export failed:', error);
-            this.showError('Failed to export dashboard data');
+            // 304: the cached copy is still current
+            if (cached && (error.code === 'NotModified' || error.statusCode === 304)) {
+                await this.writeCache({ ...cached, checkedAt: Date.now() });
+                return { workbook: cached.body, type: 'array' };
+            }
+
+            console.error(`Error loading ${filename}:`, error);
+            throw new Error(`Failed to load ${filename}`);
         }
     }
 
-    prepareExportData() {
-        const { processedData } = this.data;
-        
+    // Last cached copy without contacting S3, for offline fallback
+    async loadCached(datasetKey) {
+        const cached = await this.readCache(this.getCacheKey(this.config.files[datasetKey]));
+        if (!cached) return null;
+
         return {
-            'Project Volume': this.formatProjectVolumeForExport(processedData.planning.projectVolume),
-            'Turnaround Times': this.formatTurnaroundTimesForExport(processedData.planning.turnaroundTimes),
-            'Status Overview': this.formatStatusOverviewForExport(processedData.planning.statusOverview),
-            // Add other metrics as needed
+            payload: { workbook: cached.body, type: 'array' },
+            checkedAt: cached.checkedAt
         };
     }
 
-    exportToExcel(data, filename) {
-        const workbook = XLSX.utils.book_new();
+    getCacheKey(filename) {
+        return `${AWS_CONFIG.bucketName}/${filename}`;
+    }
 
-        // Create worksheets for each data section
-        for (const [sheetName, sheetData] of Object.entries(data)) {
-            const worksheet = XLSX.utils.json_to_sheet(sheetData);
-            XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+    // The cache is best-effort: a broken or unavailable IndexedDB never blocks loading
+    async readCache(key) {
+        if (!this.cache) return null;
+        try {
+            return await this.cache.get(key);
+        } catch (error) {
+            console.warn('Failed to read workbook cache:', error);
+            return null;
         }
+    }
 
-        // Save the workbook
-        XLSX.writeFile(workbook, filename);
+    async writeCache(record) {
+        if (!this.cache) return;
+        try {
+            await this.cache.put(record);
+        } catch (error) {
+            console.warn('Failed to write workbook cache:', error);
+        }
     }
+}
 
-    // Utility Methods for Data Formatting
-    formatTimelineData(timelineData) {
-        const sortedDates = Object.keys(timelineData).sort();
-        const formattedData = {
-            labels: sortedDates,
-            total: [],
-            active: []
-        };
+// Local File Data Source - reads workbooks picked or dropped by the user
+class LocalFileDataSource extends DataSource {
+    constructor(config) {
+        super(config);
+        this.files = new Map();
+    }
 
-        sortedDates.forEach(date => {
-            const dateData = timelineData[date];
-            formattedData.total.push(dateData.length);
-            formattedData.active.push(
-                dateData.filter(item => item.status === 'Active').length
-            );
+    // Match each file to a dataset by its configured base name, so .xlsx or .csv both work
+    addFiles(fileList) {
+        const matched = [];
+        Array.from(fileList).forEach(file => {
+            const baseName = LocalFileDataSource.baseName(file.name);
+            for (const [datasetKey, filename] of Object.entries(this.config.files)) {
+                if (LocalFileDataSource.baseName(filename) === baseName) {
+                    this.files.set(datasetKey, file);
+                    matched.push(datasetKey);
+                }
+            }
         });
+        return matched;
+    }
 
-        return formattedData;
+    getMissingDatasets() {
+        return Object.keys(this.config.files).filter(key => !this.files.has(key));
     }
 
-    formatProjectVolumeForExport(data) {
-        return Object.entries(data.timeline).map(([date, projects]) => ({
-            Date: date,
-            'Total Projects': projects.length,
-            'Active Projects': projects.filter(p => p.status === 'Active').length,
-            'Completed Projects': projects.filter(p => p.status === 'Completed').length
-        }));
+    isReady() {
+        return this.getMissingDatasets().length === 0;
     }
 
-    // Date Utility Methods
-    getDateFormatForTimeframe() {
-        switch (this.currentTimeframe) {
-            case 'daily':
-                return 'YYYY-MM-DD';
-            case 'weekly':
-                return 'YYYY-[W]WW';
-            case 'monthly':
-                return 'YYYY-MM';
-            case 'quarterly':
-                return 'YYYY-[Q]Q';
-            case 'yearly':
-                return 'YYYY';
-            default:
-                return 'YYYY-MM-DD';
+    async fetchPayload(datasetKey) {
+        const file = this.files.get(datasetKey);
+        if (!file) {
+            throw new Error(`No local file provided for ${this.config.files[datasetKey]}`);
+        }
+
+        try {
+            if (/\.csv$/i.test(file.name)) {
+                return { workbook: await file.text(), type: 'string' };
+            }
+            return { workbook: new Uint8Array(await file.arrayBuffer()), type: 'array' };
+        } catch (error) {
+            console.error(`Error reading ${file.name}:`, error);
+            throw new Error(`Failed to read ${file.name}`);
         }
     }
 
-    // Performance Optimization Methods
-    debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
+    static baseName(filename) {
+        return filename.replace(/\.(xlsx|xls|csv)$/i, '').toLowerCase();
     }
+}
 
-    memoize(fn) {
-        const cache = new Map();
-        return (...args) => {
-            const key = JSON.stringify(args);
-            if (cache.has(key)) return cache.get(key);
-            const result = fn.apply(this, args);
-            cache.set(key, result);
-            return result;
-        };
+// HTTP Data Source - fetches rows as JSON, e.g. from a local mock server
+class HttpDataSource extends DataSource {
+    async fetchPayload(datasetKey) {
+        const { baseUrl, endpoints } = this.config.http;
+        const url = `${baseUrl.replace(/\/$/, '')}/${endpoints[datasetKey]}`;
+
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+        }
+
+        // Accept either a bare array of rows or { rows: [...] }
+        const body = await response.json();
+        const rows = Array.isArray(body) ? body : body.rows;
+        if (!Array.isArray(rows)) {
+            throw new Error(`Unexpected response shape from ${url}`);
+        }
+        return { rows };
     }
+}
 
-    // Additional Chart Implementations
-    createExecutionMetricsChart() {
-        const ctx = document.getElementById('executionChart').getContext('2d');
-        return new Chart(ctx, {
-            type: 'radar',
-            data: {
-                labels: ['Planning', 'Execution', 'Delivery', 'Quality', 'Timeline', 'Budget'],
-                datasets: [{
-                    label: 'Current Period',
-                    data: [],
-                    borderColor: '#ff9900',
-                    backgroundColor: 'rgba(255, 153, 0, 0.2)'
-                }, {
-                    label: 'Previous Period',
-                    data: [],
-                    borderColor: '#232f3e',
-                    backgroundColor: 'rgba(35, 47, 62, 0.2)'
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                scales: {
-                    r: {
-                        beginAtZero: true,
-                        max: 100,
-                        ticks: {
-                            stepSize: 20
-                        }
-                    }
-                },
-                plugins: {
-                    tooltip: {
-                        callbacks: {
-                            label: (context) => `${context.label}: ${context.formattedValue}%`
-                        }
-                    }
-                }
-            }
-        });
+// Column Mappings - spreadsheet headers to the camelCase fields the calculators use.
+// Headers are matched case- and punctuation-insensitively; the field name itself always matches.
+const COLUMN_MAPPINGS = {
+    projectStatus: {
+        id: { headers: ['Project ID', 'ID'], type: 'string', required: true },
+        name: { headers: ['Project Name', 'Name'], type: 'string', required: true },
+        description: { headers: ['Description'], type: 'string' },
+        status: { headers: ['Project Status', 'Status'], type: 'string', required: true },
+        type: { headers: ['Project Type', 'Type'], type: 'string' },
+        region: { headers: ['Region'], type: 'string', required: true },
+        priority: { headers: ['Priority'], type: 'string' },
+        date: { headers: ['Date', 'Report Date', 'Last Updated'], type: 'date', required: true },
+        startDate: { headers: ['Start Date'], type: 'date', required: true },
+        endDate: { headers: ['End Date'], type: 'date' },
+        completionDate: { headers: ['Completion Date', 'Completed Date'], type: 'date' },
+        plannedDeliveryDate: { headers: ['Planned Delivery Date', 'Due Date'], type: 'date' },
+        deliveryDate: { headers: ['Delivery Date', 'Actual Delivery Date'], type: 'date' },
+        budget: { headers: ['Budget'], type: 'currency' },
+        plannedBudget: { headers: ['Planned Budget'], type: 'currency' },
+        actualCost: { headers: ['Actual Cost'], type: 'currency' },
+        qualityScore: { headers: ['Quality Score'], type: 'percent' },
+        team: { headers: ['Team', 'Owner Team'], type: 'string' },
+        plannedHours: { headers: ['Planned Hours', 'Allocated Hours'], type: 'number' },
+        actualHours: { headers: ['Actual Hours', 'Hours Logged'], type: 'number' },
+        satisfactionScore: { headers: ['Satisfaction Score', 'Customer Satisfaction', 'CSAT'], type: 'number' },
+        complianceStatus: { headers: ['Compliance Status', 'Compliant'], type: 'string' },
+        complianceViolations: { headers: ['Compliance Violations', 'Violations'], type: 'number' },
+        complexity: { headers: ['Complexity'], type: 'string' },
+        dependencies: { headers: ['Dependencies', 'Dependency Count'], type: 'string' }
+    },
+    issuesReport: {
+        id: { headers: ['Issue ID', 'ID'], type: 'string', required: true },
+        projectId: { headers: ['Project ID'], type: 'string' },
+        title: { headers: ['Issue Title', 'Title', 'Summary'], type: 'string' },
+        status: { headers: ['Issue Status', 'Status'], type: 'string' },
+        severity: { headers: ['Severity'], type: 'string', required: true },
+        region: { headers: ['Region'], type: 'string' },
+        date: { headers: ['Date', 'Reported Date', 'Created Date'], type: 'date', required: true },
+        resolvedDate: { headers: ['Resolved Date', 'Closed Date'], type: 'date' }
     }
+};
 
-    createQualityScoresChart() {
-        const ctx = document.getElementById('qualityScoreChart').getContext('2d');
-        return new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: [],
-                datasets: [{
-                    label: 'Quality Score',
-                    data: [],
-                    borderColor: '#28a745',
-                    fill: false,
-                    tension: 0.4
-                }, {
-                    label: 'Target Score',
-                    data: [],
-                    borderColor: '#dc3545',
-                    borderDash: [5, 5],
-                    fill: false
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        max: 100,
-                        ticks: {
-                            callback: value => `${value}%`
-                        }
-                    }
-                }
+// Schema Normalization - renames columns via COLUMN_MAPPINGS and coerces values to their field type
+class SchemaNormalizer {
+    // Returns { rows, report } where report lists unmapped and missing columns plus uncoercible values
+    static normalize(rows, mapping, dataset) {
+        const headers = new Set();
+        rows.forEach(row => Object.keys(row).forEach(header => headers.add(header)));
+
+        const headerToField = {};
+        const mappedFields = new Set();
+        headers.forEach(header => {
+            const field = SchemaNormalizer.resolveField(header, mapping);
+            if (field && !mappedFields.has(field)) {
+                headerToField[header] = field;
+                mappedFields.add(field);
             }
         });
-    }
 
-    createGeographicAnalysisChart() {
-        const ctx = document.getElementById('geoChart').getContext('2d');
-        return new Chart(ctx, {
-            type: 'bubble',
-            data: {
-                datasets: []
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                scales: {
-                    x: {
-                        type: 'linear',
-                        position: 'bottom',
-                        title: {
-                            display: true,
-                            text: 'Project Volume'
-                        }
-                    },
-                    y: {
-                        type: 'linear',
-                        title: {
-                            display: true,
-                            text: 'Success Rate (%)'
-                        }
-                    }
-                },
-                plugins: {
-                    tooltip: {
-                        callbacks: {
-                            label: (context) => {
-                                const dataset = context.dataset;
-                                const index = context.dataIndex;
-                                return [
-                                    `Region: ${dataset.label}`,
-                                    `Volume: ${dataset.data[index].x}`,
-                                    `Success Rate: ${dataset.data[index].y}%`,
-                                    `Projects: ${dataset.data[index].r}`
-                                ];
-                            }
-                        }
-                    }
+        const report = {
+            dataset,
+            mappedColumns: headerToField,
+            unmappedColumns: [...headers].filter(header => !headerToField[header]),
+            missingColumns: Object.entries(mapping)
+                .filter(([field, spec]) => spec.required && !mappedFields.has(field))
+                .map(([field]) => field),
+            invalidValues: []
+        };
+
+        const fractionFields = SchemaNormalizer.findFractionFields(rows, headerToField, mapping);
+
+        const normalizedRows = rows.map((row, index) => {
+            const rowNumber = SchemaNormalizer.getRowNumber(row, index);
+            const normalized = {};
+            for (const [header, value] of Object.entries(row)) {
+                const field = headerToField[header];
+                if (!field) {
+                    normalized[header] = value;
+                    continue;
+                }
+
+                const coerced = SchemaNormalizer.coerce(value, mapping[field].type, fractionFields.has(field));
+                if (coerced === undefined) {
+                    // Keep the raw value so DataValidator can flag the row
+                    report.invalidValues.push({ row: rowNumber, field, value });
+                    normalized[field] = value;
+                } else {
+                    normalized[field] = coerced;
                 }
             }
+
+            // Carry the sheet position over, hidden like SheetJS does, so rows can still be reported by
+            // their spreadsheet row after region scoping has dropped some of them
+            Object.defineProperty(normalized, '__rowNum__', { value: rowNumber - 1 });
+            return normalized;
         });
+
+        return { rows: normalizedRows, report };
     }
 
-    // Advanced Data Processing Methods
-    processGeographicData(projects) {
-        const regionData = {};
+    // 1-based spreadsheet row. SheetJS tags parsed rows with a zero-based __rowNum__ (the header is 0), which
+    // also accounts for skipped blank rows; rows from a JSON feed fall back to one header row.
+    static getRowNumber(row, index) {
+        return row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : index + 2;
+    }
 
-        // Group projects by region
-        projects.forEach(project => {
-            if (!regionData[project.region]) {
-                regionData[project.region] = {
-                    totalProjects: 0,
-                    successfulProjects: 0,
-                    onTimeDelivery: 0,
-                    totalBudget: 0,
-                    actualCost: 0
-                };
-            }
+    // Percent columns whose plain numbers all lie in 0-1 are fractions (a JSON feed or an unformatted
+    // sheet); a single larger value means the column is already on a 0-100 scale
+    static findFractionFields(rows, headerToField, mapping) {
+        const fields = new Set();
+        for (const [header, field] of Object.entries(headerToField)) {
+            if (mapping[field].type !== 'percent') continue;
 
-            const region = regionData[project.region];
-            region.totalProjects++;
-            
-            if (project.status === 'Completed' && project.qualityScore >= 90) {
-                region.successfulProjects++;
+            const numbers = rows.map(row => row[header]).filter(value => typeof value === 'number');
+            if (numbers.length && numbers.every(value => value >= 0 && value <= 1)) {
+                fields.add(field);
             }
+        }
+        return fields;
+    }
 
-            if (project.deliveryDate <= project.plannedDeliveryDate) {
-                region.onTimeDelivery++;
+    static resolveField(header, mapping) {
+        const key = SchemaNormalizer.normalizeHeader(header);
+        for (const [field, spec] of Object.entries(mapping)) {
+            if (SchemaNormalizer.normalizeHeader(field) === key ||
+                spec.headers.some(candidate => SchemaNormalizer.normalizeHeader(candidate) === key)) {
+                return field;
             }
+        }
+        return null;
+    }
 
-            region.totalBudget += parseFloat(project.plannedBudget || 0);
-            region.actualCost += parseFloat(project.actualCost || 0);
-        });
+    static normalizeHeader(header) {
+        return header.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
 
-        // Calculate metrics for each region
-        return Object.entries(regionData).map(([region, data]) => ({
-            region,
-            successRate: (data.successfulProjects / data.totalProjects) * 100,
-            onTimeRate: (data.onTimeDelivery / data.totalProjects) * 100,
-            budgetVariance: ((data.actualCost - data.totalBudget) / data.totalBudget) * 100,
-            projectVolume: data.totalProjects
-        }));
+    // Returns the coerced value, null for empty cells, or undefined when the value cannot be coerced
+    static coerce(value, type, fraction = false) {
+        if (value === null || value === undefined || value === '') return null;
+
+        switch (type) {
+            case 'date':
+                return SchemaNormalizer.coerceDate(value);
+            case 'number':
+                return SchemaNormalizer.coerceNumber(value);
+            case 'currency':
+                return SchemaNormalizer.coerceCurrency(value);
+            case 'percent':
+                return SchemaNormalizer.coercePercent(value, fraction);
+            default:
+                return value.toString().trim();
+        }
     }
 
-    calculateRiskMetrics(projects) {
-        const riskData = {
-            high: [],
-            medium: [],
-            low: []
-        };
+    // Excel serial dates count days from 1899-12-30; strings are parsed as ISO or common formats
+    static coerceDate(value) {
+        let date;
+        if (typeof value === 'number') {
+            date = moment.utc('1899-12-30').add(Math.round(value * 86400), 'seconds');
+        } else if (value instanceof Date) {
+            date = moment(value);
+        } else {
+            date = moment(value.toString().trim(),
+                [moment.ISO_8601, 'DD/MM/YYYY', 'D/M/YYYY', 'MM/DD/YYYY', 'DD-MMM-YYYY', 'MMM D, YYYY'], true);
+        }
+        return date.isValid() ? date.format('YYYY-MM-DD') : undefined;
+    }
 
-        projects.forEach(project => {
-            const riskScore = this.calculateProjectRiskScore(project);
-            if (riskScore >= 75) {
-                riskData.high.push(project);
-            } else if (riskScore >= 40) {
-                riskData.medium.push(project);
-            } else {
-                riskData.low.push(project);
+    static coerceNumber(value) {
+        const parsed = typeof value === 'number' ? value : parseFloat(value.toString().replace(/,/g, ''));
+        return isNaN(parsed) ? undefined : parsed;
+    }
+
+    // Strips currency symbols and thousands separators; (1,200) is read as -1200
+    static coerceCurrency(value) {
+        if (typeof value === 'number') return value;
+        const str = value.toString().trim();
+        const negative = /^\(.*\)$/.test(str) || str.startsWith('-');
+        const parsed = parseFloat(str.replace(/[^0-9.]/g, ''));
+        if (isNaN(parsed)) return undefined;
+        return negative ? -parsed : parsed;
+    }
+
+    // "85%" and 85 both become 85; numbers from a fraction column (see findFractionFields) are scaled, so 1 is 100
+    static coercePercent(value, fraction = false) {
+        if (typeof value === 'number') {
+            return fraction ? value * 100 : value;
+        }
+        const parsed = parseFloat(value.toString().replace(/[%\s]/g, ''));
+        return isNaN(parsed) ? undefined : parsed;
+    }
+}
+
+// Create the data source selected by configuration
+async function createDataSource(config, token) {
+    switch (config.type) {
+        case 's3':
+            return new S3DataSource(config, () => initializeAWS(token), new WorkbookCache(CACHE_CONFIG));
+        case 'file':
+            return new LocalFileDataSource(config);
+        case 'http':
+            return new HttpDataSource(config);
+        default:
+            throw new Error(`Unknown data source type: ${config.type}`);
+    }
+}
+
+// Dataset Index - rows bucketed by calendar day, so a date range is a slice of the sorted day keys
+// instead of a moment() parse of every row. Rows without a valid date are never in range.
+class DatasetIndex {
+    constructor(rows, dateField = 'date') {
+        this.buckets = new Map();
+        rows.forEach(row => {
+            const date = moment(row[dateField]);
+            if (!date.isValid()) return;
+
+            const day = date.format('YYYY-MM-DD');
+            if (!this.buckets.has(day)) {
+                this.buckets.set(day, []);
             }
+            this.buckets.get(day).push(row);
         });
+        this.days = [...this.buckets.keys()].sort();
+    }
 
-        return {
-            riskDistribution: {
-                high: riskData.high.length,
-                medium: riskData.medium.length,
-                low: riskData.low.length
-            },
-            riskTrend: this.calculateRiskTrend(projects),
-            topRiskFactors: this.identifyTopRiskFactors(projects)
-        };
+    // Inclusive on both ends, compared by calendar day like filterDataByDateRange()
+    rowsBetween(start, end) {
+        const from = moment(start).format('YYYY-MM-DD');
+        const to = moment(end).format('YYYY-MM-DD');
+        const rows = [];
+
+        for (let i = this.firstDayIndex(from); i < this.days.length && this.days[i] <= to; i++) {
+            for (const row of this.buckets.get(this.days[i])) {
+                rows.push(row);
+            }
+        }
+        return rows;
     }
 
-    calculateProjectRiskScore(project) {
-        const weights = {
-            timeline: 0.3,
-            budget: 0.25,
-            complexity: 0.2,
-            dependencies: 0.15,
-            resources: 0.1
-        };
+    // Binary search for the first day key >= day (YYYY-MM-DD sorts chronologically as a string)
+    firstDayIndex(day) {
+        let low = 0;
+        let high = this.days.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.days[mid] < day) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+}
 
-        const scores = {
-            timeline: this.calculateTimelineRisk(project),
-            budget: this.calculateBudgetRisk(project),
-            complexity: this.evaluateComplexity(project),
-            dependencies: this.evaluateDependencies(project),
-            resources: this.evaluateResourceRisk(project)
-        };
+// Data Pipeline - payloads in, everything the dashboard renders out.
+// Pure apart from onProgress(stage, percent), so the worker and the inline fallback share it.
+function runDataPipeline(job, onProgress = () => {}) {
+    const processor = DashboardManager.createProcessor(job.state, job.riskWeights, job.access);
+    const result = {};
+
+    const keys = Object.keys(job.payloads);
+    const parsed = {};
+    keys.forEach((key, i) => {
+        onProgress(`Parsing ${DATA_SOURCE_CONFIG.files[key]}`, Math.round((i / keys.length) * 40));
+        parsed[key] = DataSource.parsePayload(job.payloads[key]);
+    });
 
-        return Object.entries(weights).reduce((total, [factor, weight]) => {
-            return total + (scores[factor] * weight);
-        }, 0);
+    // Rows outside the user's region scope are dropped before validation, so no report or export sees them
+    onProgress('Validating rows', 40);
+    const rawData = processor.validateDatasets(processor.applyRegionScope(processor.normalizeDatasets(parsed)));
+    result.rawData = rawData;
+    result.schemaReport = processor.data.schemaReport;
+    result.qualityReport = processor.data.qualityReport;
+
+    // Filter values that no longer exist in the data are dropped before filtering
+    result.filters = processor.pruneFilters(processor.filters, rawData.projectStatus);
+    processor.dashboardState.state.filters = result.filters;
+
+    onProgress('Calculating metrics', 60);
+    result.filteredData = processor.applyGlobalFilters(rawData);
+    const { projectStatus, issuesReport } = result.filteredData;
+    result.processedData = processor.processData(projectStatus, issuesReport);
+
+    if (processor.compareMode !== 'off') {
+        onProgress('Calculating comparison period', 80);
+        result.comparisonData = processor.processData(
+            projectStatus, issuesReport, processor.getComparisonDateRange()
+        );
+    } else {
+        result.comparisonData = null;
     }
 
-    // Interactive Feature Handlers
-    setupInteractiveFeatures() {
-        this.setupChartInteractions();
-        this.setupFilterControls();
-        this.setupExportOptions();
+    onProgress('Done', 100);
+    return result;
+}
+
+// Data Pipeline Client - runs one pipeline job at a time in the worker. Starting a job cancels the
+// one in flight by terminating the worker; cancelled jobs resolve to null.
+class DataPipelineClient {
+    constructor(config = WORKER_CONFIG) {
+        this.config = config;
+        this.worker = null;
+        this.workerFailed = false;
+        this.pending = null;
+        this.nextJobId = 1;
+    }
+
+    isBusy() {
+        return Boolean(this.pending);
+    }
+
+    run(job, onProgress = () => {}) {
+        this.cancel();
+
+        if (!this.worker && !this.workerFailed) {
+            this.worker = this.startWorker();
+        }
+        if (!this.worker) {
+            return Promise.resolve().then(() => runDataPipeline(job, onProgress));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextJobId++;
+            this.pending = { id, job, onProgress, resolve, reject };
+            this.worker.postMessage({ type: 'run', id, job });
+        });
+    }
+
+    cancel() {
+        if (!this.pending) return;
+
+        const { resolve } = this.pending;
+        this.pending = null;
+        this.stopWorker();
+        resolve(null);
+    }
+
+    startWorker() {
+        if (typeof Worker === 'undefined' || !DASHBOARD_SCRIPT_URL) {
+            this.workerFailed = true;
+            return null;
+        }
+
+        try {
+            const worker = new Worker(this.config.url);
+            worker.onmessage = (event) => this.handleMessage(event.data);
+            worker.onerror = (event) => {
+                event.preventDefault();
+                this.handleWorkerFailure(event.message);
+            };
+            worker.postMessage({
+                type: 'init',
+                libraries: this.config.libraries,
+                scriptUrl: DASHBOARD_SCRIPT_URL,
+                // The worker never reads config.json; it gets the data source settings the page loaded
+                dataSource: DATA_SOURCE_CONFIG
+            });
+            return worker;
+        } catch (error) {
+            console.warn('Data worker unavailable, processing on the main thread:', error);
+            this.workerFailed = true;
+            return null;
+        }
+    }
+
+    stopWorker() {
+        this.worker?.terminate();
+        this.worker = null;
+    }
+
+    handleMessage(message) {
+        if (message.type === 'fatal') {
+            this.handleWorkerFailure(message.message);
+            return;
+        }
+
+        const pending = this.pending;
+        if (!pending || message.id !== pending.id) return;
+
+        switch (message.type) {
+            case 'progress':
+                pending.onProgress(message.stage, message.percent);
+                break;
+            case 'result':
+                this.pending = null;
+                pending.resolve(message.result);
+                break;
+            case 'error':
+                this.pending = null;
+                pending.reject(new Error(message.message));
+                break;
+        }
+    }
+
+    // The worker could not start (e.g. blocked or offline CDN): finish the job inline and stay inline
+    handleWorkerFailure(reason) {
+        console.warn('Data worker failed, processing on the main thread:', reason);
+        const pending = this.pending;
+        this.pending = null;
+        this.workerFailed = true;
+        this.stopWorker();
+
+        if (pending) {
+            try {
+                pending.resolve(runDataPipeline(pending.job, pending.onProgress));
+            } catch (error) {
+                pending.reject(error);
+            }
+        }
+    }
+}
+
+class DashboardManager {
+        constructor(token) {
+        this.token = token;
+        this.access = resolveAccess(AuthService.getClaims());
+        if (!this.access.tabs.length) {
+            throw new Error('Your account does not have access to any dashboard tab');
+        }
+        this.dashboardState = new DashboardState();
+        this.dashboardState.loadPersistedState();
+        this.dashboardState.updateState(DashboardState.fromQueryString(window.location.search));
+        this.charts = {};
+        this.data = {
+            rawData: null,
+            filteredData: null,
+            processedData: null,
+            comparisonData: null,
+            tabViewKeys: {},
+            loadErrors: {},
+            schemaReport: null,
+            qualityReport: null
+        };
+        this.dataSource = null;
+        this.pipeline = new DataPipelineClient(WORKER_CONFIG);
+        this.pipelineInput = null;
+        this.dateIndexes = new WeakMap();
+        this.tabCalculators = null;
+        this.scheduleRecompute = this.debounce(() => this.refreshProcessedData(), RECOMPUTE_CONFIG.debounceMs);
+        this.distributionDimension = 'type';
+        this.trendMetric = 'volume';
+        this.riskWeights = this.loadRiskWeights();
+        this.kpiSettings = this.loadKpiSettings();
+        this.alertHistory = this.loadAlertHistory();
+        this.savedViews = this.loadSavedViews();
+        this.isLoading = false;
+        this.lastUpdate = null;
+        this.dataFreshness = null;
+    }
+
+    // View state lives in DashboardState; these accessors keep call sites short.
+    // Change it with this.dashboardState.updateState() so controls, URL and storage follow.
+    get currentTab() {
+        return this.dashboardState.state.currentTab;
+    }
+
+    get currentTimeframe() {
+        return this.dashboardState.state.timeframe;
+    }
+
+    get dateRange() {
+        return this.dashboardState.state.dateRange;
+    }
+
+    get filters() {
+        return this.dashboardState.state.filters;
+    }
+
+    get compareMode() {
+        return this.dashboardState.state.compareMode;
+    }
+
+    // Headless instance for the data pipeline: view state, risk weights and access only, no DOM access
+    static createProcessor(viewState, riskWeights, access) {
+        const processor = Object.create(DashboardManager.prototype);
+        processor.access = access;
+        processor.dashboardState = new DashboardState();
+        processor.dashboardState.state = DashboardState.reviveState({
+            ...processor.dashboardState.state,
+            ...viewState
+        });
+        processor.riskWeights = riskWeights;
+        processor.data = {};
+        return processor;
+    }
+
+    // Component Initialization
+    initializeComponents() {
+        this.initializeDateRangePicker();
+        this.initializeChartDefaults();
+        this.setupLoadingIndicator();
+        this.setupErrorHandling();
+        this.setupUserMenu();
+        this.applyTabAccess();
+        this.setupFileDropZone();
+        this.setupStaleDataBanner();
+        this.setupDataQualityPanel();
+        this.setupRiskWeightsDialog();
+        this.setupKpiTargetsDialog();
+        this.setupAlertsPanel();
+        this.setupDetailDrawer();
+        this.setupDataGrid();
+        this.setupFilterControls();
+        this.setupSavedViews();
+    }
+
+    // Signed-in user and logout in the header
+    setupUserMenu() {
+        const menu = document.getElementById('user-menu');
+        menu.querySelector('.user-name').textContent = AuthService.getDisplayName();
+        menu.querySelector('#logout').addEventListener('click', () => AuthService.logout());
+    }
+
+    // Access Control - tabs the user's roles do not allow are hidden here and never calculated
+    applyTabAccess() {
+        DASHBOARD_TABS.filter(tab => !this.canViewTab(tab)).forEach(tab => {
+            document.querySelector(`.main-nav a[data-tab="${tab}"]`)?.closest('li').classList.add('hidden');
+            document.getElementById(tab)?.classList.add('hidden');
+        });
+    }
+
+    getAllowedTabs() {
+        return this.access?.tabs || DASHBOARD_TABS;
+    }
+
+    canViewTab(tab) {
+        return this.getAllowedTabs().includes(tab);
+    }
+
+    // Unknown or forbidden tabs (old links, saved views, another user's URL) fall back to the first allowed one
+    resolveTab(tab) {
+        return this.canViewTab(tab) ? tab : this.getAllowedTabs()[0];
+    }
+
+    // Region scope from the user's claims. Unlike the filter bar it is not view state, so it cannot be cleared.
+    // Issues follow their project, as in applyGlobalFilters.
+    applyRegionScope({ projectStatus, issuesReport }) {
+        const regions = this.access?.regions;
+        if (!regions) return { projectStatus, issuesReport };
+
+        const projects = projectStatus.filter(project => regions.includes(project.region));
+        const projectIds = new Set(projects.map(project => String(project.id)));
+        const issues = issuesReport.filter(issue => (issue.projectId
+            ? projectIds.has(String(issue.projectId))
+            : regions.includes(issue.region)));
+
+        return { projectStatus: projects, issuesReport: issues };
+    }
+
+    // Initialize Date Range Picker
+    initializeDateRangePicker() {
+        $('input[name="daterange"]').daterangepicker({
+            startDate: this.dateRange.start,
+            endDate: this.dateRange.end,
+            ranges: {
+                'Today': [moment(), moment()],
+                'Yesterday': [moment().subtract(1, 'days'), moment().subtract(1, 'days')],
+                'Last 7 Days': [moment().subtract(6, 'days'), moment()],
+                'Last 30 Days': [moment().subtract(29, 'days'), moment()],
+                'This Month': [moment().startOf('month'), moment().endOf('month')],
+                'Last Month': [moment().subtract(1, 'month').startOf('month'), 
+                             moment().subtract(1, 'month').endOf('month')]
+            }
+        }, (start, end) => {
+            this.dashboardState.updateState({ dateRange: { start, end } });
+        });
+    }
+
+    // Initialize Chart.js Defaults
+    initializeChartDefaults() {
+        Chart.defaults.font.family = "'Segoe UI', 'Helvetica Neue', 'Arial', sans-serif";
+        Chart.defaults.color = '#666666';
+        Chart.defaults.responsive = true;
+        Chart.defaults.maintainAspectRatio = false;
+    }
+
+    // Setup Event Listeners
+    setupEventListeners() {
+        // Tab navigation
+        document.querySelectorAll('.main-nav a').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.switchTab(e.target.dataset.tab);
+            });
+        });
+
+        // Compare mode selector
+        document.getElementById('compare-select').addEventListener('change', (e) => {
+            this.dashboardState.updateState({ compareMode: e.target.value });
+        });
+
+        // Timeframe selector
+        document.getElementById('timeframe-select').addEventListener('change', (e) => {
+            const timeframe = e.target.value;
+            this.dashboardState.updateState(timeframe === 'ytd'
+                ? { timeframe, dateRange: this.getYearToDateRange() }
+                : { timeframe });
+        });
+
+        // Program tab selectors
+        document.getElementById('distribution-filter').addEventListener('change', (e) => {
+            this.distributionDimension = e.target.value;
+            if (this.data.processedData) {
+                this.updateProjectDistributionChart(this.data.processedData.program.distribution);
+            }
+        });
+
+        document.getElementById('trend-metric').addEventListener('change', (e) => {
+            this.trendMetric = e.target.value;
+            if (this.data.processedData) {
+                this.updateTrendAnalysisChart(this.data.processedData.program.trends);
+            }
+        });
+
+        // Refresh button
+        document.getElementById('refresh-data').addEventListener('click', () => {
+            this.loadData();
+        });
+
+        // Export button
+        document.getElementById('export-data').addEventListener('click', () => {
+            this.exportDashboardData(document.getElementById('export-format').value);
+        });
+
+        // PDF report button
+        document.getElementById('export-pdf').addEventListener('click', () => {
+            this.exportCurrentTabToPdf();
+        });
+
+        // Error message close button
+        document.querySelector('.close-error')?.addEventListener('click', () => {
+            this.hideError();
+        });
+    }
+
+    // Tab Navigation
+    switchTab(tab) {
+        if (!tab || tab === this.currentTab || !this.canViewTab(tab)) return;
+
+        this.dashboardState.updateState({ currentTab: tab });
+    }
+
+    renderActiveTab() {
+        const tab = this.currentTab;
+
+        document.querySelectorAll('.main-nav a').forEach(link => {
+            const isActive = link.dataset.tab === tab;
+            link.classList.toggle('active', isActive);
+            if (isActive) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        document.querySelectorAll('.dashboard-tab').forEach(section => {
+            section.classList.toggle('active', section.id === tab);
+        });
+    }
+
+    // State Synchronisation - DashboardState drives the controls, the URL and localStorage
+    setupStateSync() {
+        // Unknown or forbidden tabs fall back to an allowed one; YTD always ends today
+        this.dashboardState.state.currentTab = this.resolveTab(this.currentTab);
+        if (this.currentTimeframe === 'ytd') {
+            this.dashboardState.state.dateRange = this.getYearToDateRange();
+        }
+
+        this.dashboardState.subscribe((state, oldState) => this.handleStateChange(state, oldState));
+
+        window.addEventListener('popstate', () => {
+            const state = DashboardState.fromQueryString(window.location.search);
+            if (state.currentTab) {
+                state.currentTab = this.resolveTab(state.currentTab);
+            }
+            this.dashboardState.updateState(state);
+        });
+
+        this.syncControlsWithState();
+        history.replaceState(null, '', this.getStateUrl());
+    }
+
+    handleStateChange(state, oldState) {
+        this.dashboardState.persistState();
+
+        // Tab changes get their own history entry so back/forward moves between tabs
+        const url = this.getStateUrl();
+        if (url !== `${window.location.pathname}${window.location.search}`) {
+            if (state.currentTab !== oldState.currentTab) {
+                history.pushState(null, '', url);
+            } else {
+                history.replaceState(null, '', url);
+            }
+        }
+
+        this.syncControlsWithState();
+
+        const viewChanged = state.filters !== oldState.filters
+            || state.compareMode !== oldState.compareMode
+            || state.dateRange !== oldState.dateRange
+            || state.timeframe !== oldState.timeframe;
+
+        if (viewChanged && this.pipelineInput) {
+            // A load computed for the old view is wasted work: cancel it and start over with the new state.
+            // The rerun gets its own input object so the superseded run cannot claim it when it settles.
+            this.runPipeline({ ...this.pipelineInput }).catch(error => this.handleDataLoadError(error));
+        } else if (viewChanged) {
+            this.scheduleRecompute();
+        } else {
+            this.updateDashboard();
+        }
+    }
+
+    getStateUrl() {
+        return `${window.location.pathname}?${this.dashboardState.toQueryString()}`;
+    }
+
+    syncControlsWithState() {
+        this.renderActiveTab();
+
+        document.getElementById('timeframe-select').value = this.currentTimeframe;
+        document.getElementById('compare-select').value = this.compareMode;
+
+        const input = document.getElementById('daterange');
+        const picker = $(input).data('daterangepicker');
+        picker?.setStartDate(this.dateRange.start);
+        picker?.setEndDate(this.dateRange.end);
+        input.disabled = this.currentTimeframe === 'ytd';
+
+        this.renderFilterOptions();
+        this.syncSavedViewSelection();
+    }
+
+    // Saved Views - named snapshots of tab, timeframe, range and filters
+    loadSavedViews() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SAVED_VIEWS_CONFIG.storageKey));
+            if (Array.isArray(stored)) {
+                return stored.map(entry => this.sanitizeSavedView(entry)).filter(Boolean);
+            }
+        } catch (error) {
+            console.warn('Failed to load saved views:', error);
+        }
+        return [];
+    }
+
+    persistSavedViews() {
+        try {
+            localStorage.setItem(SAVED_VIEWS_CONFIG.storageKey, JSON.stringify(this.savedViews));
+        } catch (error) {
+            console.warn('Failed to persist saved views:', error);
+        }
+    }
+
+    // Returns a clean copy of a stored/imported entry, or null when it is not a usable view
+    sanitizeSavedView(entry) {
+        const view = entry?.view;
+        const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+        if (!name || !view || typeof view.currentTab !== 'string' || typeof view.timeframe !== 'string') {
+            return null;
+        }
+
+        const start = moment(view.dateRange?.start, 'YYYY-MM-DD', true);
+        const end = moment(view.dateRange?.end, 'YYYY-MM-DD', true);
+        if (!start.isValid() || !end.isValid()) return null;
+
+        const filters = DashboardState.createEmptyFilters();
+        Object.keys(filters).forEach(field => {
+            const values = view.filters?.[field];
+            filters[field] = Array.isArray(values) ? values.map(String) : [];
+        });
+
+        return {
+            id: typeof entry.id === 'string' ? entry.id : this.createSavedViewId(),
+            name,
+            savedAt: entry.savedAt || new Date().toISOString(),
+            view: {
+                currentTab: view.currentTab,
+                timeframe: view.timeframe,
+                dateRange: { start: view.dateRange.start, end: view.dateRange.end },
+                filters
+            }
+        };
+    }
+
+    createSavedViewId() {
+        return `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    getCurrentViewSnapshot() {
+        return {
+            currentTab: this.currentTab,
+            timeframe: this.currentTimeframe,
+            dateRange: {
+                start: this.dateRange.start.format('YYYY-MM-DD'),
+                end: this.dateRange.end.format('YYYY-MM-DD')
+            },
+            filters: JSON.parse(JSON.stringify(this.filters))
+        };
+    }
+
+    // YTD views always run to today, so their stored range is ignored when comparing
+    isSameView(a, b) {
+        const normalize = ({ dateRange, ...view }) => JSON.stringify(
+            view.timeframe === 'ytd' ? view : { ...view, dateRange }
+        );
+        return normalize(a) === normalize(b);
+    }
+
+    // Saving under an existing name (case-insensitive) overwrites that view
+    saveCurrentView(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Enter a name for the view');
+        }
+
+        const view = this.getCurrentViewSnapshot();
+        const existing = this.findSavedViewByName(trimmed);
+        if (existing) {
+            existing.view = view;
+            existing.savedAt = new Date().toISOString();
+        } else {
+            this.savedViews.push({
+                id: this.createSavedViewId(),
+                name: trimmed,
+                savedAt: new Date().toISOString(),
+                view
+            });
+        }
+
+        this.persistSavedViews();
+        this.renderSavedViews();
+    }
+
+    findSavedViewByName(name) {
+        const key = name.trim().toLowerCase();
+        return this.savedViews.find(entry => entry.name.toLowerCase() === key);
+    }
+
+    applySavedView(id) {
+        const entry = this.savedViews.find(view => view.id === id);
+        if (!entry) return;
+
+        const { currentTab, timeframe, dateRange, filters } = entry.view;
+        this.dashboardState.updateState({
+            currentTab: this.resolveTab(currentTab),
+            timeframe,
+            dateRange: timeframe === 'ytd'
+                ? this.getYearToDateRange()
+                : { start: moment(dateRange.start), end: moment(dateRange.end).endOf('day') },
+            filters: JSON.parse(JSON.stringify(filters))
+        });
+    }
+
+    renameSavedView(id, name) {
+        const entry = this.savedViews.find(view => view.id === id);
+        const trimmed = (name || '').trim();
+        if (!entry || !trimmed) return;
+
+        const clash = this.findSavedViewByName(trimmed);
+        if (clash && clash !== entry) {
+            throw new Error(`A view named "${trimmed}" already exists`);
+        }
+
+        entry.name = trimmed;
+        this.persistSavedViews();
+        this.renderSavedViews();
+    }
+
+    deleteSavedView(id) {
+        this.savedViews = this.savedViews.filter(view => view.id !== id);
+        this.persistSavedViews();
+        this.renderSavedViews();
+    }
+
+    exportSavedViews() {
+        const payload = {
+            exportedAt: new Date().toISOString(),
+            views: this.savedViews
+        };
+
+        this.downloadBlob(
+            new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }),
+            SAVED_VIEWS_CONFIG.exportFilename
+        );
+    }
+
+    // Accepts an exported file or a bare array; imported views replace same-named ones
+    async importSavedViews(file) {
+        let parsed;
+        try {
+            parsed = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error(`${file.name} is not valid JSON`);
+        }
+
+        const entries = Array.isArray(parsed) ? parsed : parsed?.views;
+        const views = (Array.isArray(entries) ? entries : [])
+            .map(entry => this.sanitizeSavedView(entry))
+            .filter(Boolean);
+
+        if (!views.length) {
+            throw new Error(`${file.name} does not contain any dashboard views`);
+        }
+
+        views.forEach(view => {
+            const existing = this.findSavedViewByName(view.name);
+            if (existing) {
+                existing.view = view.view;
+                existing.savedAt = view.savedAt;
+            } else {
+                this.savedViews.push({ ...view, id: this.createSavedViewId() });
+            }
+        });
+
+        this.persistSavedViews();
+        this.renderSavedViews();
+    }
+
+    setupSavedViews() {
+        this.savedViewsSelect = document.getElementById('saved-views-select');
+        this.savedViewsDialog = document.getElementById('saved-views-dialog');
+        const form = this.savedViewsDialog.querySelector('form');
+        const importInput = form.querySelector('.import-views-input');
+
+        this.savedViewsSelect.addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.applySavedView(e.target.value);
+            }
+        });
+
+        document.getElementById('manage-views').addEventListener('click', () => {
+            form.elements.viewName.value = '';
+            this.renderSavedViews();
+            this.savedViewsDialog.showModal();
+        });
+
+        form.querySelector('.save-current-view').addEventListener('click', () => {
+            try {
+                this.saveCurrentView(form.elements.viewName.value);
+                form.elements.viewName.value = '';
+            } catch (error) {
+                this.showError(error.message);
+            }
+        });
+
+        this.savedViewsDialog.querySelector('.saved-views-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const id = button.closest('li').dataset.viewId;
+            if (button.dataset.action === 'apply') {
+                this.applySavedView(id);
+                this.savedViewsDialog.close();
+            } else if (button.dataset.action === 'delete') {
+                this.deleteSavedView(id);
+            }
+        });
+
+        this.savedViewsDialog.querySelector('.saved-views-list').addEventListener('change', (e) => {
+            if (!e.target.matches('input.saved-view-name')) return;
+
+            try {
+                this.renameSavedView(e.target.closest('li').dataset.viewId, e.target.value);
+            } catch (error) {
+                this.showError(error.message);
+                this.renderSavedViews();
+            }
+        });
+
+        form.querySelector('.export-views').addEventListener('click', () => this.exportSavedViews());
+        form.querySelector('.import-views').addEventListener('click', () => importInput.click());
+
+        importInput.addEventListener('change', async (e) => {
+            const [file] = e.target.files;
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                await this.importSavedViews(file);
+            } catch (error) {
+                this.showError(`Failed to import views: ${error.message}`);
+            }
+        });
+
+        this.renderSavedViews();
+    }
+
+    renderSavedViews() {
+        const sorted = [...this.savedViews].sort((a, b) => a.name.localeCompare(b.name));
+
+        this.savedViewsSelect.innerHTML = '<option value="">Current view</option>';
+        sorted.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = entry.name;
+            this.savedViewsSelect.appendChild(option);
+        });
+
+        const list = this.savedViewsDialog.querySelector('.saved-views-list');
+        list.innerHTML = '';
+        sorted.forEach(entry => {
+            const item = document.createElement('li');
+            item.dataset.viewId = entry.id;
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.className = 'saved-view-name';
+            name.value = entry.name;
+            name.setAttribute('aria-label', 'View name');
+
+            const summary = document.createElement('span');
+            summary.className = 'saved-view-summary';
+            summary.textContent = this.describeSavedView(entry.view);
+
+            const apply = document.createElement('button');
+            apply.type = 'button';
+            apply.dataset.action = 'apply';
+            apply.textContent = 'Apply';
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.dataset.action = 'delete';
+            remove.textContent = 'Delete';
+            remove.setAttribute('aria-label', `Delete view ${entry.name}`);
+
+            item.append(name, summary, apply, remove);
+            list.appendChild(item);
+        });
+
+        this.savedViewsDialog.querySelector('.saved-views-empty').classList.toggle('hidden', sorted.length > 0);
+        this.syncSavedViewSelection();
+    }
+
+    describeSavedView(view) {
+        const range = view.timeframe === 'ytd'
+            ? 'year to date'
+            : `${view.dateRange.start} – ${view.dateRange.end}`;
+        const filterCount = Object.values(view.filters).reduce((acc, values) => acc + values.length, 0);
+        const filters = filterCount ? `, ${filterCount} filter${filterCount === 1 ? '' : 's'}` : '';
+
+        return `${view.currentTab} · ${view.timeframe} · ${range}${filters}`;
+    }
+
+    // Show the matching saved view in the header, or "Current view" once the state drifts from it
+    syncSavedViewSelection() {
+        if (!this.savedViewsSelect) return;
+
+        const current = this.getCurrentViewSnapshot();
+        const match = this.savedViews.find(entry => this.isSameView(entry.view, current));
+        this.savedViewsSelect.value = match ? match.id : '';
+    }
+
+    // Loading Indicator Management
+    setupLoadingIndicator() {
+        this.loadingOverlay = document.getElementById('loading-overlay');
+    }
+
+    showLoading() {
+        this.isLoading = true;
+        this.setLoadingProgress('Loading dashboard data...', null);
+        this.loadingOverlay.classList.remove('hidden');
+    }
+
+    hideLoading() {
+        this.isLoading = false;
+        this.loadingOverlay.classList.add('hidden');
+    }
+
+    // percent === null shows an indeterminate bar
+    setLoadingProgress(stage, percent) {
+        const progress = this.loadingOverlay.querySelector('.loading-progress');
+        this.loadingOverlay.querySelector('.loading-stage').textContent = stage;
+        if (percent === null) {
+            progress.removeAttribute('value');
+        } else {
+            progress.value = percent;
+        }
+    }
+
+    // Error Handling
+    setupErrorHandling() {
+        this.errorToast = document.getElementById('error-message');
+    }
+
+    showError(message) {
+        const errorText = this.errorToast.querySelector('.error-text');
+        errorText.textContent = message;
+        this.errorToast.classList.remove('hidden');
+        setTimeout(() => this.hideError(), 5000);
+    }
+
+    hideError() {
+        this.errorToast.classList.add('hidden');
+    }
+
+async initialize() {
+    try {
+        this.dataSource = await createDataSource(DATA_SOURCE_CONFIG, this.token);
+        // Now proceed with other initializations
+        this.initializeComponents();
+        this.setupEventListeners();
+        this.setupStateSync();
+        this.initializeCharts();
+        this.setupChartInteractions();
+        this.setupChartDownloads();
+        await this.loadInitialData();
+        this.setupAutoRefresh();
+    } catch (error) {
+        console.error('Failed to initialize dashboard:', error);
+        throw error;
+    }
+}
+
+    // Data Loading and Processing
+    async loadInitialData() {
+        try {
+            this.showLoading();
+            await this.loadData();
+            this.updateDashboard();
+        } catch (error) {
+            console.error('Error loading initial data:', error);
+            this.showError('Failed to load dashboard data');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Data Loading from the configured data source
+    // autoRefresh marks the periodic reload, the only one that may raise browser notifications
+    async loadData({ autoRefresh = false } = {}) {
+        if (!this.dataSource.isReady()) {
+            this.showFileDropZone();
+            return;
+        }
+
+        try {
+            this.showLoading();
+
+            const keys = Object.keys(DATA_SOURCE_CONFIG.files);
+            const results = await Promise.allSettled(keys.map(key => this.loadDataset(key)));
+
+            const payloads = {};
+            const loadErrors = {};
+            const cachedDatasets = {};
+            const loadedAt = new Date();
+
+            for (const [i, result] of results.entries()) {
+                const key = keys[i];
+                if (result.status === 'fulfilled') {
+                    payloads[key] = result.value;
+                    continue;
+                }
+
+                if (key === 'projectStatus') throw result.reason;
+
+                // A secondary dataset falls back to its cached copy, or to no rows and an error on its cards.
+                // Only that dataset is stale; the banner names it and its age.
+                const cached = await this.dataSource.loadCached(key).catch(() => null);
+                if (cached) {
+                    payloads[key] = cached.payload;
+                    cachedDatasets[key] = new Date(cached.checkedAt);
+                } else {
+                    payloads[key] = { rows: [] };
+                    loadErrors[key] = result.reason.message;
+                }
+            }
+
+            await this.applyLoadedData({ payloads, loadedAt, cachedDatasets, loadErrors, autoRefresh });
+        } catch (error) {
+            await this.handleDataLoadError(error);
+        } finally {
+            if (!this.pipelineInput) {
+                this.hideLoading();
+            }
+        }
+    }
+
+    loadDataset(datasetKey) {
+        const { attempts, baseDelay } = DATA_SOURCE_CONFIG.retry;
+        return this.retryOperation(() => this.dataSource.fetchPayload(datasetKey), attempts, baseDelay);
+    }
+
+    // Parse, validate and process freshly loaded payloads; loadedAt is when they were last known current.
+    // cachedDatasets maps datasets that came from the offline cache instead to when their copy was checked.
+    applyLoadedData({
+        payloads, loadedAt, offline = false, cachedDatasets = {}, loadErrors = {}, autoRefresh = false
+    }) {
+        return this.runPipeline({ payloads, loadedAt, offline, cachedDatasets, loadErrors, autoRefresh });
+    }
+
+    // Pipeline Runs - input is { payloads, loadedAt, offline, cachedDatasets, loadErrors, autoRefresh } and
+    // identifies the run, so callers pass a fresh object per run. Only the latest run is applied; a superseded
+    // run resolves to false.
+    async runPipeline(input) {
+        this.pipelineInput = input;
+        this.showLoading();
+
+        try {
+            const result = await this.pipeline.run(
+                this.createPipelineJob(input),
+                (stage, percent) => this.setLoadingProgress(stage, percent)
+            );
+            if (!result || this.pipelineInput !== input) return false;
+
+            // The run is over once its result is in: state changes made while applying it recompute
+            // from the new data instead of restarting the pipeline
+            this.pipelineInput = null;
+            this.applyPipelineResult(result, input);
+            return true;
+        } finally {
+            if (this.pipelineInput === input) {
+                this.pipelineInput = null;
+            }
+            if (!this.pipelineInput) {
+                this.hideLoading();
+            }
+        }
+    }
+
+    createPipelineJob(input) {
+        return {
+            payloads: input.payloads,
+            state: {
+                timeframe: this.currentTimeframe,
+                compareMode: this.compareMode,
+                filters: this.filters,
+                dateRange: {
+                    start: this.dateRange.start.toISOString(),
+                    end: this.dateRange.end.toISOString()
+                }
+            },
+            riskWeights: this.riskWeights,
+            access: this.access
+        };
+    }
+
+    applyPipelineResult(result, input) {
+        this.data.rawData = result.rawData;
+        this.data.schemaReport = result.schemaReport;
+        this.data.qualityReport = result.qualityReport;
+        this.data.loadErrors = input.loadErrors;
+
+        this.reportMissingColumns();
+        this.renderDataQualityPanel();
+
+        // The worker dropped selections missing from the new data; adopt them so state and the processed data agree
+        this.applyPrunedFilters(result.filters);
+        this.renderFilterOptions();
+
+        // The worker already computed every tab for the current view; index the rows for later changes
+        this.indexFilteredData(result.filteredData);
+        this.data.processedData = result.processedData;
+        this.data.comparisonData = result.comparisonData;
+        const viewKey = this.getViewKey();
+        Object.keys(this.tabCalculators).forEach(tab => {
+            this.data.tabViewKeys[tab] = viewKey;
+        });
+
+        this.lastUpdate = input.loadedAt;
+        document.getElementById('last-updated').textContent = this.lastUpdate.toLocaleString();
+        this.renderDatasetErrors();
+        this.setDataFreshness({
+            offline: input.offline,
+            loadedAt: input.loadedAt,
+            cachedDatasets: input.cachedDatasets
+        });
+
+        this.updateDashboard();
+        this.evaluateAlerts(input.autoRefresh);
+    }
+
+    // Error state on the cards whose dataset failed to load, with a retry for the whole load
+    renderDatasetErrors() {
+        for (const [datasetKey, cardIds] of Object.entries(DATASET_DEPENDENT_CARDS)) {
+            const message = this.data.loadErrors?.[datasetKey];
+
+            cardIds.forEach(cardId => {
+                const card = document.getElementById(cardId);
+                let overlay = card.querySelector('.card-error');
+                card.classList.toggle('has-error', Boolean(message));
+
+                if (!message) {
+                    overlay?.remove();
+                    return;
+                }
+
+                if (!overlay) {
+                    overlay = document.createElement('div');
+                    overlay.className = 'card-error';
+                    overlay.setAttribute('role', 'alert');
+
+                    const text = document.createElement('p');
+                    const retry = document.createElement('button');
+                    retry.type = 'button';
+                    retry.textContent = 'Retry';
+                    retry.addEventListener('click', () => this.loadData());
+
+                    overlay.append(text, retry);
+                    card.appendChild(overlay);
+                }
+
+                // Source errors already name the file, e.g. "Failed to load MS_Issues_Report.xlsx"
+                overlay.querySelector('p').textContent = message;
+            });
+        }
+    }
+
+    // Bring the active tab up to date with the view. Only new filters mean filtering and indexing the rows
+    // again; range, timeframe and compare changes reuse the day index and the memoized calculators.
+    refreshProcessedData() {
+        if (!this.data.rawData) return;
+
+        if (this.data.indexedFilters !== JSON.stringify(this.filters)) {
+            this.indexFilteredData(this.applyGlobalFilters(this.data.rawData));
+        }
+        this.updateDashboard();
+    }
+
+    // Indexed Data - filtered rows bucketed by day, plus memoized per-tab calculators over them.
+    // Every tab result is tagged with the view it was computed for and only recomputed once stale.
+    indexFilteredData(filteredData) {
+        const { projectStatus, issuesReport } = filteredData;
+
+        this.data.filteredData = filteredData;
+        this.dateIndexes = new WeakMap([
+            [projectStatus, new DatasetIndex(projectStatus)],
+            [issuesReport, new DatasetIndex(issuesReport)]
+        ]);
+        this.tabCalculators = this.createTabCalculators(projectStatus, issuesReport);
+        this.data.tabViewKeys = {};
+        this.data.indexedFilters = JSON.stringify(this.filters);
+    }
+
+    createTabCalculators(projectStatus, issuesReport) {
+        const processors = {
+            planning: range => this.processPlanningMetrics(projectStatus, issuesReport, range),
+            productivity: range => this.processProductivityMetrics(projectStatus, range),
+            program: range => this.processProgramMetrics(projectStatus, range),
+            quality: range => this.processQualityMetrics(projectStatus, issuesReport, range),
+            risk: range => this.processRiskMetrics(projectStatus, range)
+        };
+
+        const calculators = {};
+        for (const [tab, process] of Object.entries(processors).filter(([tab]) => this.canViewTab(tab))) {
+            // Timeframe, compare mode and weights are read from this; as arguments they only key the cache
+            calculators[tab] = this.memoize((start, end, timeframe, compareMode, riskWeights) => process({
+                start: moment(start, 'YYYY-MM-DD'),
+                end: moment(end, 'YYYY-MM-DD').endOf('day')
+            }));
+        }
+        return calculators;
+    }
+
+    calculateTab(tab, range) {
+        return this.tabCalculators[tab](
+            range.start.format('YYYY-MM-DD'),
+            range.end.format('YYYY-MM-DD'),
+            this.currentTimeframe,
+            this.compareMode,
+            this.riskWeights
+        );
+    }
+
+    getViewKey() {
+        return JSON.stringify([
+            this.dateRange.start.format('YYYY-MM-DD'),
+            this.dateRange.end.format('YYYY-MM-DD'),
+            this.currentTimeframe,
+            this.compareMode,
+            this.riskWeights
+        ]);
+    }
+
+    // Bring one tab (and its comparison period) up to date with the current view
+    ensureTabData(tab) {
+        if (!this.tabCalculators?.[tab]) return;
+
+        const viewKey = this.getViewKey();
+        if (this.data.tabViewKeys[tab] === viewKey) return;
+
+        this.data.processedData[tab] = this.calculateTab(tab, this.dateRange);
+        if (this.compareMode !== 'off') {
+            this.data.comparisonData = this.data.comparisonData || {};
+            this.data.comparisonData[tab] = this.calculateTab(tab, this.getComparisonDateRange());
+        } else {
+            this.data.comparisonData = null;
+        }
+        this.data.tabViewKeys[tab] = viewKey;
+    }
+
+    // Exports cover every tab, so they bring all of them up to date first
+    ensureAllTabData() {
+        Object.keys(this.tabCalculators || {}).forEach(tab => this.ensureTabData(tab));
+    }
+
+    applyGlobalFilters({ projectStatus, issuesReport }) {
+        const filterFactories = {
+            status: values => DataFilter.createStatusFilter(values),
+            region: values => DataFilter.createRegionFilter(values),
+            type: values => DataFilter.createTypeFilter(values),
+            priority: values => DataFilter.createPriorityFilter(values)
+        };
+
+        const projectFilter = new DataFilter(projectStatus);
+        for (const [field, values] of Object.entries(this.filters)) {
+            if (values.length) {
+                projectFilter.addFilter(field, filterFactories[field](values));
+            }
+        }
+        if (!projectFilter.filters.size) {
+            return { projectStatus, issuesReport };
+        }
+
+        const projects = projectFilter.apply();
+        const projectIds = new Set(projects.map(project => String(project.id)));
+
+        // Issues follow their project; issues without a project can only be matched on region
+        const issues = issuesReport.filter(issue => {
+            if (issue.projectId) return projectIds.has(String(issue.projectId));
+            return !this.filters.region.length || this.filters.region.includes(issue.region);
+        });
+
+        return { projectStatus: projects, issuesReport: issues };
+    }
+
+    // Global Filter Bar
+    setupFilterControls() {
+        this.filterBar = document.getElementById('filter-bar');
+
+        this.filterBar.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('input[type="checkbox"]');
+            if (!checkbox) return;
+
+            const { field } = checkbox.closest('.filter-dropdown').dataset;
+            const values = new Set(this.filters[field]);
+            if (checkbox.checked) {
+                values.add(checkbox.value);
+            } else {
+                values.delete(checkbox.value);
+            }
+            this.setFilter(field, [...values]);
+        });
+
+        this.filterBar.querySelector('.filter-chips').addEventListener('click', (e) => {
+            const chip = e.target.closest('.filter-chip-remove');
+            if (!chip) return;
+
+            const { field, value } = chip.dataset;
+            this.setFilter(field, this.filters[field].filter(v => v !== value));
+        });
+
+        this.filterBar.querySelector('.clear-filters').addEventListener('click', () => {
+            this.dashboardState.updateState({ filters: DashboardState.createEmptyFilters() });
+        });
+    }
+
+    setFilter(field, values) {
+        this.dashboardState.updateState({
+            filters: {
+                ...this.filters,
+                [field]: values
+            }
+        });
+    }
+
+    // Options come from the loaded (unfiltered) projects; selections no longer present are dropped.
+    // A running pipeline prunes against its own data, so its result does it instead.
+    renderFilterOptions() {
+        const projects = this.data.rawData?.projectStatus || [];
+        if (this.data.rawData && !this.pipelineInput
+            && this.applyPrunedFilters(this.pruneFilters(this.filters, projects))) {
+            // The state change re-renders the options
+            return;
+        }
+
+        this.filterBar.querySelectorAll('.filter-dropdown').forEach(dropdown => {
+            const { field } = dropdown.dataset;
+            const values = this.getFilterValues(projects, field);
+
+            const options = dropdown.querySelector('.filter-options');
+            options.innerHTML = '';
+            values.forEach(value => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = value;
+                checkbox.checked = this.filters[field].includes(value);
+                label.append(checkbox, ` ${value}`);
+                options.appendChild(label);
+            });
+
+            const count = this.filters[field].length;
+            dropdown.querySelector('.filter-count').textContent = count ? `(${count})` : '';
+        });
+
+        this.renderFilterChips();
+    }
+
+    getFilterValues(projects, field) {
+        return [...new Set(projects.map(p => p[field]).filter(Boolean).map(String))].sort();
+    }
+
+    // Drop selected values that do not occur in the loaded projects
+    // Pruned filters go through updateState like any other filter change; returns whether anything was dropped
+    applyPrunedFilters(pruned) {
+        if (JSON.stringify(pruned) === JSON.stringify(this.filters)) return false;
+
+        this.dashboardState.updateState({ filters: pruned });
+        return true;
+    }
+
+    pruneFilters(filters, projects) {
+        const pruned = {};
+        for (const [field, values] of Object.entries(filters)) {
+            const available = this.getFilterValues(projects, field);
+            pruned[field] = values.filter(value => available.includes(value));
+        }
+        return pruned;
+    }
+
+    renderFilterChips() {
+        const chips = this.filterBar.querySelector('.filter-chips');
+        chips.innerHTML = '';
+
+        // The region scope from the user's claims is shown, but has no remove button
+        if (this.access?.regions) {
+            const chip = document.createElement('span');
+            chip.className = 'filter-chip locked';
+            chip.title = 'Set by your account and cannot be removed';
+            chip.textContent = `Region scope: ${this.access.regions.join(', ') || 'none'}`;
+            chips.appendChild(chip);
+        }
+
+        for (const [field, values] of Object.entries(this.filters)) {
+            values.forEach(value => {
+                const chip = document.createElement('span');
+                chip.className = 'filter-chip';
+                chip.textContent = `${field.charAt(0).toUpperCase() + field.slice(1)}: ${value}`;
+
+                const remove = document.createElement('button');
+                remove.className = 'filter-chip-remove';
+                remove.dataset.field = field;
+                remove.dataset.value = value;
+                remove.setAttribute('aria-label', `Remove ${field} filter ${value}`);
+                remove.textContent = '×';
+
+                chip.appendChild(remove);
+                chips.appendChild(chip);
+            });
+        }
+
+        const hasFilters = Object.values(this.filters).some(values => values.length);
+        this.filterBar.querySelector('.clear-filters').classList.toggle('hidden', !hasFilters);
+    }
+
+    // Map spreadsheet headers to calculator fields and report schema problems
+    normalizeDatasets(datasets) {
+        const normalized = {};
+        this.data.schemaReport = {};
+
+        for (const [datasetKey, rows] of Object.entries(datasets)) {
+            const { rows: normalizedRows, report } = SchemaNormalizer.normalize(
+                rows, COLUMN_MAPPINGS[datasetKey], DATA_SOURCE_CONFIG.files[datasetKey]
+            );
+            normalized[datasetKey] = normalizedRows;
+            this.data.schemaReport[datasetKey] = report;
+
+            if (report.unmappedColumns.length) {
+                console.warn(`Unmapped columns in ${report.dataset}:`, report.unmappedColumns);
+            }
+            if (report.invalidValues.length) {
+                console.warn(`Values that could not be coerced in ${report.dataset}:`, report.invalidValues);
+            }
+        }
+
+        return normalized;
+    }
+
+    reportMissingColumns() {
+        // Datasets that failed to load have no columns at all; their cards already show the error
+        const missing = Object.entries(this.data.schemaReport)
+            .filter(([datasetKey, report]) => report.missingColumns.length && !this.data.loadErrors[datasetKey])
+            .map(([, report]) => `${report.dataset}: ${report.missingColumns.join(', ')}`);
+        if (missing.length) {
+            this.showError(`Missing required columns - ${missing.join('; ')}`);
+        }
+    }
+
+    // Validate every row, quarantine invalid ones and sanitize the rest
+    validateDatasets(datasets) {
+        const validators = {
+            projectStatus: project => DataValidator.validateProjectData(project),
+            issuesReport: issue => DataValidator.validateIssueData(issue)
+        };
+        const validated = {};
+        this.data.qualityReport = {
+            checkedAt: new Date(),
+            datasets: {}
+        };
+
+        for (const [datasetKey, rows] of Object.entries(datasets)) {
+            const { valid, quarantined } = DataValidator.partitionRows(rows, validators[datasetKey]);
+            validated[datasetKey] = datasetKey === 'projectStatus'
+                ? DataValidator.sanitizeData(valid)
+                : valid;
+
+            this.data.qualityReport.datasets[datasetKey] = {
+                sheet: DATA_SOURCE_CONFIG.files[datasetKey],
+                total: rows.length,
+                valid: valid.length,
+                quarantined
+            };
+        }
+
+        return validated;
+    }
+
+    // Data Quality Panel
+    setupDataQualityPanel() {
+        this.dataQualityPanel = document.getElementById('data-quality-panel');
+
+        document.getElementById('data-quality-toggle').addEventListener('click', () => {
+            this.dataQualityPanel.classList.toggle('hidden');
+        });
+
+        this.dataQualityPanel.querySelector('.close-data-quality').addEventListener('click', () => {
+            this.dataQualityPanel.classList.add('hidden');
+        });
+
+        document.getElementById('export-data-quality').addEventListener('click', () => {
+            this.exportDataQualityReport();
+        });
+    }
+
+    renderDataQualityPanel() {
+        const { datasets } = this.data.qualityReport;
+        const quarantinedCount = Object.values(datasets)
+            .reduce((acc, dataset) => acc + dataset.quarantined.length, 0);
+
+        const schemaIssues = this.getSchemaIssues();
+
+        const toggle = document.getElementById('data-quality-toggle');
+        toggle.querySelector('.data-quality-count').textContent = quarantinedCount;
+        toggle.classList.toggle('has-issues', quarantinedCount > 0 || schemaIssues.length > 0);
+
+        this.dataQualityPanel.querySelector('.data-quality-summary').textContent =
+            Object.values(datasets)
+                .map(dataset => `${dataset.sheet}: ${dataset.valid} of ${dataset.total} rows valid`)
+                .join(' · ');
+
+        const schemaList = this.dataQualityPanel.querySelector('.data-quality-schema');
+        schemaList.innerHTML = '';
+        schemaIssues.forEach(({ dataset, label, detail }) => {
+            const li = document.createElement('li');
+            li.textContent = `${dataset} - ${label}: ${detail}`;
+            schemaList.appendChild(li);
+        });
+        schemaList.classList.toggle('hidden', !schemaIssues.length);
+
+        const tbody = this.dataQualityPanel.querySelector('tbody');
+        tbody.innerHTML = '';
+        Object.values(datasets).forEach(dataset => {
+            dataset.quarantined.forEach(({ row, errors }) => {
+                errors.forEach(error => {
+                    const tr = document.createElement('tr');
+                    [dataset.sheet, row, error].forEach(value => {
+                        const td = document.createElement('td');
+                        td.textContent = value;
+                        tr.appendChild(td);
+                    });
+                    tbody.appendChild(tr);
+                });
+            });
+        });
+
+        this.dataQualityPanel.querySelector('.data-quality-empty')
+            .classList.toggle('hidden', quarantinedCount > 0);
+    }
+
+    // Schema report as { dataset, label, detail } entries: missing required columns, headers that match
+    // no field (kept on the rows but unused) and values that could not be coerced, counted per field
+    getSchemaIssues() {
+        const issues = [];
+        Object.entries(this.data.schemaReport || {}).forEach(([datasetKey, report]) => {
+            // Datasets that failed to load have no columns at all; their cards already show the error
+            if (this.data.loadErrors?.[datasetKey]) return;
+
+            if (report.missingColumns.length) {
+                issues.push({ dataset: report.dataset, label: 'Missing Columns', detail: report.missingColumns.join(', ') });
+            }
+            if (report.unmappedColumns.length) {
+                issues.push({ dataset: report.dataset, label: 'Unmapped Columns', detail: report.unmappedColumns.join(', ') });
+            }
+            if (report.invalidValues.length) {
+                const counts = {};
+                report.invalidValues.forEach(({ field }) => {
+                    counts[field] = (counts[field] || 0) + 1;
+                });
+                issues.push({
+                    dataset: report.dataset,
+                    label: 'Invalid Values',
+                    detail: Object.entries(counts).map(([field, count]) => `${field} (${count})`).join(', ')
+                });
+            }
+        });
+        return issues;
+    }
+
+    // Export quarantined rows with their original values so the source sheets can be fixed
+    exportDataQualityReport() {
+        try {
+            if (!this.data.qualityReport) return;
+
+            const exportData = {};
+            Object.values(this.data.qualityReport.datasets).forEach(dataset => {
+                exportData[dataset.sheet.replace(/\.\w+$/, '').slice(0, 31)] = dataset.quarantined
+                    .map(({ row, errors, record }) => ({
+                        Row: row,
+                        Errors: errors.join('; '),
+                        ...record
+                    }));
+            });
+
+            const timestamp = moment().format('YYYY-MM-DD_HH-mm');
+            this.exportToExcel(exportData, `data_quality_report_${timestamp}.xlsx`);
+        } catch (error) {
+            console.error('Data quality export failed:', error);
+            this.showError('Failed to export data quality report');
+        }
+    }
+
+    // Local File Upload (drag-and-drop or file picker)
+    setupFileDropZone() {
+        this.fileDropZone = document.getElementById('file-drop-zone');
+        const fileInput = document.getElementById('file-input');
+
+        ['dragenter', 'dragover'].forEach(type => {
+            this.fileDropZone.addEventListener(type, (e) => {
+                e.preventDefault();
+                this.fileDropZone.classList.add('drag-over');
+            });
+        });
+
+        ['dragleave', 'drop'].forEach(type => {
+            this.fileDropZone.addEventListener(type, (e) => {
+                e.preventDefault();
+                this.fileDropZone.classList.remove('drag-over');
+            });
+        });
+
+        this.fileDropZone.addEventListener('drop', (e) => {
+            this.handleLocalFiles(e.dataTransfer.files);
+        });
+
+        fileInput.addEventListener('change', (e) => {
+            this.handleLocalFiles(e.target.files);
+            e.target.value = '';
+        });
+    }
+
+    handleLocalFiles(fileList) {
+        if (!(this.dataSource instanceof LocalFileDataSource)) return;
+
+        const matched = this.dataSource.addFiles(fileList);
+        if (!matched.length) {
+            const expected = Object.values(DATA_SOURCE_CONFIG.files).join(', ');
+            this.showError(`Unrecognised file(s). Expected: ${expected} (.xlsx or .csv)`);
+            return;
+        }
+
+        if (this.dataSource.isReady()) {
+            this.fileDropZone.classList.add('hidden');
+            this.loadData();
+        } else {
+            this.showFileDropZone();
+        }
+    }
+
+    showFileDropZone() {
+        const missing = this.dataSource.getMissingDatasets()
+            .map(key => DATA_SOURCE_CONFIG.files[key]);
+        this.fileDropZone.querySelector('.file-drop-missing').textContent =
+            `Waiting for: ${missing.join(', ')}`;
+        this.fileDropZone.classList.remove('hidden');
+    }
+
+    // Process Raw Data
+    processData(projectStatus, issuesReport, range = this.dateRange) {
+        const processors = {
+            planning: () => this.processPlanningMetrics(projectStatus, issuesReport, range),
+            productivity: () => this.processProductivityMetrics(projectStatus, range),
+            program: () => this.processProgramMetrics(projectStatus, range),
+            quality: () => this.processQualityMetrics(projectStatus, issuesReport, range),
+            risk: () => this.processRiskMetrics(projectStatus, range)
+        };
+
+        // Tabs the user may not open are never calculated
+        return Object.fromEntries(this.getAllowedTabs().map(tab => [tab, processors[tab]()]));
+    }
+
+    // Process Planning Metrics
+    processPlanningMetrics(projectStatus, issuesReport, range = this.dateRange) {
+        const filteredProjects = this.filterDataByDateRange(projectStatus, range);
+        
+        return {
+            projectVolume: this.calculateProjectVolume(filteredProjects),
+            turnaroundTimes: this.calculateTurnaroundTimes(filteredProjects),
+            statusOverview: this.calculateStatusOverview(filteredProjects)
+        };
+    }
+
+    // Process Productivity Metrics
+    processProductivityMetrics(projectStatus, range = this.dateRange) {
+        const filteredProjects = this.filterDataByDateRange(projectStatus, range);
+        const previousProjects = this.filterDataByDateRange(projectStatus, this.getComparisonDateRange(range));
+        
+        return {
+            executionMetrics: this.calculateExecutionMetrics(filteredProjects, previousProjects),
+            timelineAnalytics: this.calculateTimelineAnalytics(filteredProjects),
+            resourceUtilization: this.calculateResourceUtilization(filteredProjects)
+        };
+    }
+
+    // Process Program Metrics
+    processProgramMetrics(projectStatus, range = this.dateRange) {
+        const filteredProjects = this.filterDataByDateRange(projectStatus, range);
+        
+        return {
+            distribution: this.calculateProjectDistribution(filteredProjects),
+            geographic: this.calculateGeographicAnalysis(filteredProjects),
+            trends: this.calculateTrendAnalysis(filteredProjects)
+        };
+    }
+
+    // Process Risk Metrics
+    processRiskMetrics(projectStatus, range = this.dateRange) {
+        const filteredProjects = this.filterDataByDateRange(projectStatus, range);
+
+        return this.calculateRiskMetrics(filteredProjects);
+    }
+
+    // Process Quality Metrics
+    processQualityMetrics(projectStatus, issuesReport, range = this.dateRange) {
+        const filteredProjects = this.filterDataByDateRange(projectStatus, range);
+        const filteredIssues = this.filterDataByDateRange(issuesReport, range);
+        
+        return {
+            defects: this.calculateDefectMetrics(filteredIssues),
+            quality: this.calculateQualityScores(filteredProjects),
+            compliance: this.calculateComplianceMetrics(filteredProjects)
+        };
+    }
+
+    // Data Calculation Methods
+    calculateProjectVolume(projects) {
+        const total = projects.length;
+        const active = projects.filter(p => p.status === 'Active').length;
+        const completed = projects.filter(p => p.status === 'Completed').length;
+        
+        return {
+            total,
+            active,
+            completed,
+            timeline: this.generateTimelineData(projects, 'volume')
+        };
+    }
+
+    calculateTurnaroundTimes(projects) {
+        const completedProjects = projects.filter(p => p.status === 'Completed');
+        
+        const turnaroundTimes = completedProjects.map(project => ({
+            duration: moment(project.completionDate).diff(moment(project.startDate), 'days'),
+            projectType: project.type
+        }));
+
+        const durations = turnaroundTimes.map(t => t.duration);
+
+        return {
+            average: this.calculateAverage(durations),
+            min: durations.length ? Math.min(...durations) : 0,
+            max: durations.length ? Math.max(...durations) : 0,
+            byType: this.groupByProjectType(turnaroundTimes),
+            timeline: this.generateTimelineData(completedProjects, 'turnaround')
+        };
+    }
+
+    calculateStatusOverview(projects) {
+        const statusCounts = projects.reduce((acc, project) => {
+            acc[project.status] = (acc[project.status] || 0) + 1;
+            return acc;
+        }, {});
+
+        return {
+            counts: statusCounts,
+            percentages: this.calculatePercentages(statusCounts),
+            timeline: this.generateTimelineData(projects, 'status')
+        };
+    }
+
+    calculateProjectDistribution(projects) {
+        const countBy = field => projects.reduce((acc, project) => {
+            const key = project[field] || 'Unspecified';
+            acc[key] = (acc[key] || 0) + 1;
+            return acc;
+        }, {});
+
+        return {
+            type: countBy('type'),
+            region: countBy('region'),
+            priority: countBy('priority')
+        };
+    }
+
+    calculateGeographicAnalysis(projects) {
+        return this.processGeographicData(projects);
+    }
+
+    calculateTrendAnalysis(projects) {
+        const timeline = this.generateTimelineData(projects, 'trend');
+        const trends = {};
+
+        for (const [period, periodProjects] of Object.entries(timeline)) {
+            const delivered = periodProjects.filter(p => this.getDeliveryDate(p) && p.plannedDeliveryDate);
+            const rated = periodProjects
+                .map(p => parseFloat(p.satisfactionScore))
+                .filter(score => !isNaN(score));
+
+            // null leaves a gap rather than plotting a misleading zero
+            trends[period] = {
+                volume: periodProjects.length,
+                performance: delivered.length
+                    ? this.calculateRate(delivered.filter(p => this.calculateDelayDays(p) <= 0).length, delivered.length)
+                    : null,
+                satisfaction: rated.length ? this.calculateAverage(rated) : null
+            };
+        }
+
+        return trends;
+    }
+
+    calculateDefectMetrics(issues) {
+        const bySeverity = issues.reduce((acc, issue) => {
+            const severity = this.normalizeSeverity(issue.severity);
+            acc[severity] = (acc[severity] || 0) + 1;
+            return acc;
+        }, {});
+
+        return {
+            total: issues.length,
+            critical: bySeverity.Critical || 0,
+            major: bySeverity.Major || 0,
+            bySeverity,
+            timeline: this.generateTimelineData(issues, 'defects')
+        };
+    }
+
+    calculateQualityScores(projects) {
+        const scored = projects.filter(p => !isNaN(parseFloat(p.qualityScore)));
+        const scores = scored.map(p => parseFloat(p.qualityScore));
+
+        return {
+            average: this.calculateAverage(scores),
+            top: scores.length ? Math.max(...scores) : 0,
+            scored: scored.length,
+            timeline: this.generateTimelineData(scored, 'quality')
+        };
+    }
+
+    calculateComplianceMetrics(projects) {
+        const assessed = projects.filter(p => p.complianceStatus);
+        const compliant = assessed.filter(p => this.isCompliant(p));
+
+        return {
+            complianceRate: this.calculateRate(compliant.length, assessed.length),
+            violations: assessed.reduce((acc, project) => acc + this.countViolations(project), 0),
+            assessed: assessed.length,
+            timeline: this.generateTimelineData(assessed, 'compliance')
+        };
+    }
+
+    // Title-case severities so "critical", "CRITICAL" and "Critical" count together
+    normalizeSeverity(severity) {
+        if (!severity) return 'Unspecified';
+        const value = severity.toString().trim().toLowerCase();
+        return value.charAt(0).toUpperCase() + value.slice(1);
+    }
+
+    isCompliant(project) {
+        return QUALITY_CONFIG.compliantValues.includes(
+            (project.complianceStatus || '').toString().trim().toLowerCase()
+        );
+    }
+
+    // Uses the violations column when present, otherwise counts a non-compliant project as one violation
+    countViolations(project) {
+        if (project.complianceViolations !== null && project.complianceViolations !== undefined) {
+            return parseFloat(project.complianceViolations) || 0;
+        }
+        return this.isCompliant(project) ? 0 : 1;
+    }
+
+    calculateExecutionMetrics(projects, previousProjects) {
+        const completed = projects.filter(p => p.status === 'Completed');
+        const efficiencies = completed
+            .map(project => this.calculateScheduleEfficiency(project))
+            .filter(value => value !== null);
+
+        return {
+            executionRate: this.calculateRate(completed.length, projects.length),
+            efficiencyScore: this.calculateAverage(efficiencies),
+            current: this.calculatePerformanceDimensions(projects),
+            previous: this.calculatePerformanceDimensions(previousProjects)
+        };
+    }
+
+    calculateTimelineAnalytics(projects) {
+        const delivered = projects.filter(p => this.getDeliveryDate(p) && p.plannedDeliveryDate);
+        const delays = delivered.map(project => Math.max(0, this.calculateDelayDays(project)));
+        const onTime = delays.filter(delay => delay === 0).length;
+
+        return {
+            onTimeRate: this.calculateRate(onTime, delivered.length),
+            averageDelay: this.calculateAverage(delays),
+            delivered: delivered.length,
+            timeline: this.generateTimelineData(delivered, 'timeline')
+        };
+    }
+
+    calculateResourceUtilization(projects) {
+        const byTeam = {};
+        let plannedHours = 0;
+        let actualHours = 0;
+
+        projects.forEach(project => {
+            const team = project.team || 'Unassigned';
+            if (!byTeam[team]) {
+                byTeam[team] = { plannedHours: 0, actualHours: 0 };
+            }
+            byTeam[team].plannedHours += parseFloat(project.plannedHours || 0);
+            byTeam[team].actualHours += parseFloat(project.actualHours || 0);
+            plannedHours += parseFloat(project.plannedHours || 0);
+            actualHours += parseFloat(project.actualHours || 0);
+        });
+
+        // Capacity scales with the number of months in the selected range
+        const months = Math.max(1, this.dateRange.end.diff(this.dateRange.start, 'months', true));
+        const capacityHours = PRODUCTIVITY_CONFIG.teamCapacityHoursPerMonth * months;
+
+        return {
+            utilizationRate: this.calculateRate(actualHours, plannedHours),
+            capacityUsed: this.calculateRate(actualHours, capacityHours),
+            byTeam: Object.entries(byTeam).map(([team, hours]) => ({
+                team,
+                ...hours,
+                utilization: this.calculateRate(hours.actualHours, hours.plannedHours)
+            }))
+        };
+    }
+
+    // Radar scores (0-100) in the order of the execution chart labels:
+    // Planning, Execution, Delivery, Quality, Timeline, Budget
+    calculatePerformanceDimensions(projects) {
+        if (!projects.length) return [0, 0, 0, 0, 0, 0];
+
+        const planned = projects.filter(p => p.plannedDeliveryDate && (p.plannedBudget || p.budget));
+        const completed = projects.filter(p => p.status === 'Completed');
+        const delivered = projects.filter(p => this.getDeliveryDate(p) && p.plannedDeliveryDate);
+        const onTime = delivered.filter(p => this.calculateDelayDays(p) <= 0);
+        const scored = projects.filter(p => !isNaN(parseFloat(p.qualityScore)));
+        const open = projects.filter(p => p.status !== 'Completed' && p.plannedDeliveryDate);
+        const onSchedule = open.filter(p => moment().isSameOrBefore(p.plannedDeliveryDate, 'day'));
+        const costed = projects.filter(p => p.plannedBudget && p.actualCost !== undefined && p.actualCost !== null);
+        const withinBudget = costed.filter(p => parseFloat(p.actualCost) <= parseFloat(p.plannedBudget));
+
+        return [
+            this.calculateRate(planned.length, projects.length),
+            this.calculateRate(completed.length, projects.length),
+            this.calculateRate(onTime.length, delivered.length),
+            this.calculateAverage(scored.map(p => parseFloat(p.qualityScore))),
+            this.calculateRate(onSchedule.length, open.length),
+            this.calculateRate(withinBudget.length, costed.length)
+        ].map(value => Math.round(value * 10) / 10);
+    }
+
+    getDeliveryDate(project) {
+        return project.deliveryDate || project.completionDate || null;
+    }
+
+    // Positive when delivered after the planned date, negative when early
+    calculateDelayDays(project) {
+        return moment(this.getDeliveryDate(project)).diff(moment(project.plannedDeliveryDate), 'days');
+    }
+
+    // Planned duration over actual duration, capped at 100%
+    calculateScheduleEfficiency(project) {
+        const delivered = this.getDeliveryDate(project);
+        if (!delivered || !project.plannedDeliveryDate || !project.startDate) return null;
+
+        const plannedDays = moment(project.plannedDeliveryDate).diff(moment(project.startDate), 'days');
+        const actualDays = moment(delivered).diff(moment(project.startDate), 'days');
+        if (plannedDays <= 0 || actualDays <= 0) return null;
+
+        return Math.min(1, plannedDays / actualDays) * 100;
+    }
+
+    // Utility Methods
+    filterDataByDateRange(data, range = this.dateRange) {
+        const index = this.dateIndexes?.get(data);
+        if (index) {
+            return index.rowsBetween(range.start, range.end);
+        }
+
+        return data.filter(item => {
+            const itemDate = moment(item.date);
+            return itemDate.isBetween(range.start, range.end, 'day', '[]');
+        });
+    }
+
+    // The equally long range immediately before the selected one
+    getPreviousDateRange(range = this.dateRange) {
+        const days = range.end.diff(range.start, 'days') + 1;
+        const end = range.start.clone().subtract(1, 'days');
+        return {
+            start: end.clone().subtract(days - 1, 'days'),
+            end
+        };
+    }
+
+    // Range the current one is compared against; the execution radar uses it even when compare mode is off
+    getComparisonDateRange(range = this.dateRange) {
+        if (this.compareMode === 'lastYear') {
+            return {
+                start: range.start.clone().subtract(1, 'year'),
+                end: range.end.clone().subtract(1, 'year')
+            };
+        }
+        return this.getPreviousDateRange(range);
+    }
+
+    getComparisonLabel() {
+        return COMPARISON_CONFIG.labels[this.compareMode] || COMPARISON_CONFIG.labels.previous;
+    }
+
+    calculateAverage(numbers) {
+        if (!numbers.length) return 0;
+        return numbers.reduce((acc, val) => acc + val, 0) / numbers.length;
+    }
+
+    calculateRate(part, whole) {
+        return whole ? (part / whole) * 100 : 0;
+    }
+
+    calculatePercentages(counts) {
+        const total = Object.values(counts).reduce((acc, val) => acc + val, 0);
+        const percentages = {};
+        
+        for (const [key, value] of Object.entries(counts)) {
+            percentages[key] = (value / total) * 100;
+        }
+        
+        return percentages;
+    }
+
+    groupByProjectType(data) {
+        return data.reduce((acc, item) => {
+            if (!acc[item.projectType]) {
+                acc[item.projectType] = [];
+            }
+            acc[item.projectType].push(item.duration);
+            return acc;
+        }, {});
+    }
+
+    generateTimelineData(data, metric) {
+        // Group data by date and calculate metrics
+        const timelineData = {};
+
+        data.forEach(item => {
+            const date = this.getTimeBucket(item.date);
+            if (!timelineData[date]) {
+                timelineData[date] = [];
+            }
+            timelineData[date].push(item);
+        });
+
+        return timelineData;
+    }
+
+    // Chart Implementations
+    initializeCharts() {
+        // Planning Charts
+        this.charts.projectVolume = this.createProjectVolumeChart();
+        this.charts.turnaroundTimes = this.createTurnaroundTimesChart();
+        this.charts.statusOverview = this.createStatusOverviewChart();
+
+        // Productivity Charts
+        this.charts.executionMetrics = this.createExecutionMetricsChart();
+        this.charts.timelineAnalytics = this.createTimelineAnalyticsChart();
+        this.charts.resourceUtilization = this.createResourceUtilizationChart();
+
+        // Program Charts
+        this.charts.projectDistribution = this.createProjectDistributionChart();
+        this.charts.geographicAnalysis = this.createGeographicAnalysisChart();
+        this.charts.trendAnalysis = this.createTrendAnalysisChart();
+
+        // Quality Charts
+        this.charts.defectTracking = this.createDefectTrackingChart();
+        this.charts.qualityScores = this.createQualityScoresChart();
+        this.charts.complianceMetrics = this.createComplianceMetricsChart();
+
+        // Risk Charts
+        this.charts.riskTrend = this.createRiskTrendChart();
+    }
+
+    createProjectVolumeChart() {
+        const ctx = document.getElementById('projectVolumeChart').getContext('2d');
+        return new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Total Projects',
+                    borderColor: '#ff9900',
+                    data: [],
+                    tension: 0.4
+                }, {
+                    label: 'Active Projects',
+                    borderColor: '#28a745',
+                    data: [],
+                    tension: 0.4
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'top'
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            precision: 0
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    createTurnaroundTimesChart() {
+        const ctx = document.getElementById('tatChart').getContext('2d');
+        return new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Average Turnaround Time (Days)',
+                    backgroundColor: '#17a2b8',
+                    data: []
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'top'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
+
+    createStatusOverviewChart() {
+        const ctx = document.getElementById('statusChart').getContext('2d');
+        return new Chart(ctx, {
+            type: 'doughnut',
+            data: {
+                labels: [],
+                datasets: [{
+                    data: [],
+                    backgroundColor: []
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.label}: ${context.formattedValue}`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Dashboard Update Methods
+    updateDashboard() {
+        if (!this.data.processedData) return;
+
+        this.ensureTabData(this.currentTab);
+
+        switch (this.currentTab) {
+            case 'planning':
+                this.updatePlanningDashboard();
+                break;
+            case 'productivity':
+                this.updateProductivityDashboard();
+                break;
+            case 'program':
+                this.updateProgramDashboard();
+                break;
+            case 'quality':
+                this.updateQualityDashboard();
+                break;
+            case 'risk':
+                this.updateRiskDashboard();
+                break;
+        }
+
+        this.renderMetricDeltas();
+        this.renderKpiStatus();
+        this.renderDataGrid();
+    }
+
+    updatePlanningDashboard() {
+        const planningData = this.data.processedData.planning;
+
+        // Update Project Volume Chart
+        this.updateProjectVolumeChart(planningData.projectVolume);
+
+        // Update Turnaround Times Chart
+        this.updateTurnaroundTimesChart(planningData.turnaroundTimes);
+
+        // Update Status Overview Chart
+        this.updateStatusOverviewChart(planningData.statusOverview);
+
+        // Update Summary Metrics
+        this.updatePlanningMetrics(planningData);
+    }
+
+    updateProjectVolumeChart(data) {
+        const chart = this.charts.projectVolume;
+        const timelineData = this.formatTimelineData(data.timeline, 'projectVolume');
+
+        chart.data.labels = timelineData.labels;
+        chart.data.datasets[0].data = timelineData.total;
+        chart.data.datasets[1].data = timelineData.active;
+
+        const comparison = this.data.comparisonData?.planning.projectVolume;
+        this.setComparisonOverlay(chart, chart.data.datasets[0], comparison &&
+            this.getComparisonSeries(comparison.timeline, timelineData.labels, 'projectVolume', bucket => bucket.length));
+        chart.update();
+    }
+
+    updateTurnaroundTimesChart(data) {
+        const chart = this.charts.turnaroundTimes;
+        const types = Object.keys(data.byType).sort();
+
+        chart.data.labels = types;
+        chart.data.datasets[0].data = types.map(type =>
+            Math.round(this.calculateAverage(data.byType[type]) * 10) / 10
+        );
+        chart.update();
+    }
+
+    updateStatusOverviewChart(data) {
+        const chart = this.charts.statusOverview;
+        const statusColors = {
+            'On Track': '#28a745',
+            'Active': '#28a745',
+            'Completed': '#17a2b8',
+            'At Risk': '#ffc107',
+            'Delayed': '#dc3545'
+        };
+        const statuses = Object.keys(data.counts);
+
+        chart.data.labels = statuses;
+        chart.data.datasets[0].data = statuses.map(status => data.counts[status]);
+        chart.data.datasets[0].backgroundColor = statuses.map(status => statusColors[status] || '#6c757d');
+        chart.update();
+    }
+
+    updatePlanningMetrics(data) {
+        document.getElementById('total-projects').textContent = data.projectVolume.total;
+        document.getElementById('active-projects').textContent = data.projectVolume.active;
+        document.getElementById('completed-projects').textContent = data.projectVolume.completed;
+        document.getElementById('avg-tat').textContent = data.turnaroundTimes.average.toFixed(1);
+        document.getElementById('min-tat').textContent = data.turnaroundTimes.min;
+        document.getElementById('max-tat').textContent = data.turnaroundTimes.max;
+    }
+
+    updateProgramDashboard() {
+        const programData = this.data.processedData.program;
+
+        // Update Project Distribution Chart
+        this.updateProjectDistributionChart(programData.distribution);
+
+        // Update Geographic Analysis Chart
+        this.updateGeographicAnalysisChart(programData.geographic);
+
+        // Update Trend Analysis Chart
+        this.updateTrendAnalysisChart(programData.trends);
+    }
+
+    updateProjectDistributionChart(data) {
+        const chart = this.charts.projectDistribution;
+        const counts = data[this.distributionDimension];
+        const labels = Object.keys(counts).sort();
+
+        chart.data.labels = labels;
+        chart.data.datasets[0].data = labels.map(label => counts[label]);
+        chart.data.datasets[0].backgroundColor = labels.map((_, i) => CHART_PALETTE[i % CHART_PALETTE.length]);
+        chart.update();
+    }
+
+    updateGeographicAnalysisChart(regions) {
+        const chart = this.charts.geographicAnalysis;
+        const maxVolume = Math.max(1, ...regions.map(r => r.projectVolume));
+
+        chart.data.datasets = regions.map((region, i) => ({
+            label: region.region,
+            backgroundColor: `${CHART_PALETTE[i % CHART_PALETTE.length]}99`,
+            borderColor: CHART_PALETTE[i % CHART_PALETTE.length],
+            data: [{
+                x: region.projectVolume,
+                y: Math.round(region.successRate * 10) / 10,
+                // Bubble area tracks relative volume; radius kept between 5 and 30px
+                r: 5 + Math.sqrt(region.projectVolume / maxVolume) * 25,
+                onTimeRate: Math.round(region.onTimeRate * 10) / 10,
+                budgetVariance: Math.round(region.budgetVariance * 10) / 10
+            }]
+        }));
+        chart.update();
+
+        this.updateRegionSummary(regions);
+    }
+
+    updateRegionSummary(regions) {
+        const container = document.querySelector('#geographic-analysis .region-metrics');
+        container.innerHTML = '';
+
+        regions.forEach(region => {
+            const item = document.createElement('div');
+            item.className = 'metric';
+
+            const label = document.createElement('span');
+            label.className = 'metric-label';
+            label.textContent = region.region;
+
+            const value = document.createElement('span');
+            value.className = 'metric-value';
+            value.textContent = DashboardUtils.formatPercentage(region.onTimeRate);
+
+            const unit = document.createElement('span');
+            unit.className = 'metric-unit';
+            unit.textContent = `on time · ${region.projectVolume} projects`;
+
+            item.append(label, value, unit);
+            container.appendChild(item);
+        });
+    }
+
+    updateTrendAnalysisChart(trends) {
+        const chart = this.charts.trendAnalysis;
+        const labels = this.getTimelineSlots();
+        const metricLabels = {
+            volume: 'Project Volume',
+            performance: 'On-Time Delivery (%)',
+            satisfaction: 'Avg Satisfaction Score'
+        };
+
+        chart.data.labels = labels;
+        chart.data.datasets[0].label = metricLabels[this.trendMetric];
+        const valueFn = bucket => {
+            const value = bucket[this.trendMetric];
+            return value === null ? null : Math.round(value * 10) / 10;
+        };
+        chart.data.datasets[0].data = this.fillTimelineSeries(trends, labels, 'trendAnalysis', valueFn);
+
+        const comparison = this.data.comparisonData?.program.trends;
+        this.setComparisonOverlay(chart, chart.data.datasets[0], comparison &&
+            this.getComparisonSeries(comparison, labels, 'trendAnalysis', valueFn));
+        chart.update();
+    }
+
+    updateQualityDashboard() {
+        const qualityData = this.data.processedData.quality;
+
+        // Update Defect Tracking Chart
+        this.updateDefectTrackingChart(qualityData.defects);
+
+        // Update Quality Scores Chart
+        this.updateQualityScoresChart(qualityData.quality);
+
+        // Update Compliance Chart
+        this.updateComplianceMetricsChart(qualityData.compliance);
+
+        // Update Summary Metrics
+        this.updateQualityMetrics(qualityData);
+    }
+
+    updateDefectTrackingChart(data) {
+        const chart = this.charts.defectTracking;
+        const labels = this.getTimelineSlots();
+        const severityColors = {
+            Critical: '#dc3545',
+            Major: '#fd7e14',
+            Minor: '#ffc107',
+            Trivial: '#17a2b8'
+        };
+        const severityOrder = ['Critical', 'Major', 'Minor', 'Trivial'];
+        const severities = Object.keys(data.bySeverity).sort((a, b) => {
+            const rank = severity => (severityOrder.indexOf(severity) + 1) || severityOrder.length + 1;
+            return rank(a) - rank(b);
+        });
+
+        chart.data.labels = labels;
+        chart.data.datasets = severities.map(severity => ({
+            label: severity,
+            backgroundColor: severityColors[severity] || '#6c757d',
+            data: this.fillTimelineSeries(data.timeline, labels, 'defectTracking', bucket =>
+                bucket.filter(issue => this.normalizeSeverity(issue.severity) === severity).length
+            )
+        }));
+
+        const comparison = this.data.comparisonData?.quality.defects;
+        this.setComparisonOverlay(chart, { label: 'Total Defects' }, comparison &&
+            this.getComparisonSeries(comparison.timeline, labels, 'defectTracking', bucket => bucket.length));
+        chart.update();
+    }
+
+    updateQualityScoresChart(data) {
+        const chart = this.charts.qualityScores;
+        const labels = this.getTimelineSlots();
+
+        chart.data.labels = labels;
+        const valueFn = bucket =>
+            Math.round(this.calculateAverage(bucket.map(p => parseFloat(p.qualityScore))) * 10) / 10;
+        chart.data.datasets[0].data = this.fillTimelineSeries(data.timeline, labels, 'qualityScores', valueFn);
+        chart.data.datasets[1].data = labels.map(() => this.getKpiTarget('avg-quality-score'));
+
+        const comparison = this.data.comparisonData?.quality.quality;
+        this.setComparisonOverlay(chart, chart.data.datasets[0], comparison &&
+            this.getComparisonSeries(comparison.timeline, labels, 'qualityScores', valueFn));
+        chart.update();
+    }
+
+    updateComplianceMetricsChart(data) {
+        const chart = this.charts.complianceMetrics;
+        const labels = this.getTimelineSlots();
+        const series = valueFn => this.fillTimelineSeries(data.timeline, labels, 'complianceMetrics', valueFn);
+
+        const violationsFn = bucket => bucket.reduce((acc, project) => acc + this.countViolations(project), 0);
+
+        chart.data.labels = labels;
+        chart.data.datasets[0].data = series(violationsFn);
+        chart.data.datasets[1].data = series(bucket => Math.round(this.calculateRate(
+            bucket.filter(p => this.isCompliant(p)).length, bucket.length
+        ) * 10) / 10);
+
+        const comparison = this.data.comparisonData?.quality.compliance;
+        this.setComparisonOverlay(chart, chart.data.datasets[0], comparison &&
+            this.getComparisonSeries(comparison.timeline, labels, 'complianceMetrics', violationsFn));
+        chart.update();
+    }
+
+    updateQualityMetrics(data) {
+        document.getElementById('critical-defects').textContent = data.defects.critical;
+        document.getElementById('major-defects').textContent = data.defects.major;
+        document.getElementById('avg-quality-score').textContent = data.quality.average.toFixed(1);
+        document.getElementById('top-quality-score').textContent = data.quality.top;
+        document.getElementById('compliance-rate').textContent =
+            DashboardUtils.formatPercentage(data.compliance.complianceRate);
+        document.getElementById('compliance-violations').textContent = data.compliance.violations;
+    }
+
+    updateRiskDashboard() {
+        const riskData = this.data.processedData.risk;
+
+        // Update Risk Trend Chart
+        this.updateRiskTrendChart(riskData.riskTrend);
+
+        // Update Risk Register
+        this.updateRiskRegister(riskData);
+    }
+
+    updateRiskTrendChart(trend) {
+        const chart = this.charts.riskTrend;
+        const labels = this.getTimelineSlots();
+        const byPeriod = Object.fromEntries(trend.map(t => [t.period, t]));
+
+        chart.data.labels = labels;
+        chart.data.datasets[0].data = this.fillTimelineSeries(byPeriod, labels, 'riskTrend', t => t.averageScore);
+        chart.data.datasets[1].data = this.fillTimelineSeries(byPeriod, labels, 'riskTrend', t => t.highRisk);
+
+        const comparison = this.data.comparisonData?.risk.riskTrend;
+        this.setComparisonOverlay(chart, chart.data.datasets[0], comparison && this.getComparisonSeries(
+            Object.fromEntries(comparison.map(t => [t.period, t])), labels, 'riskTrend', t => t.averageScore
+        ));
+        chart.update();
+    }
+
+    updateRiskRegister(data) {
+        document.getElementById('high-risk-count').textContent = data.riskDistribution.high;
+        document.getElementById('medium-risk-count').textContent = data.riskDistribution.medium;
+        document.getElementById('low-risk-count').textContent = data.riskDistribution.low;
+
+        const factorList = document.getElementById('top-risk-factors');
+        factorList.innerHTML = '';
+        data.topRiskFactors.forEach(({ factor, averageContribution }) => {
+            const item = document.createElement('li');
+            item.textContent = `${RISK_CONFIG.factorLabels[factor]}: ${averageContribution} pts`;
+            factorList.appendChild(item);
+        });
+
+        const tbody = document.querySelector('#risk-register tbody');
+        tbody.innerHTML = '';
+        ['high', 'medium', 'low'].forEach(level => {
+            data.register[level].forEach(entry => {
+                const tr = document.createElement('tr');
+                tr.className = `risk-${level}`;
+                const cells = [
+                    level.charAt(0).toUpperCase() + level.slice(1),
+                    entry.score,
+                    entry.name || entry.id,
+                    entry.region,
+                    entry.status,
+                    entry.factors.slice(0, 3)
+                        .map(f => `${RISK_CONFIG.factorLabels[f.factor]} (${f.contribution.toFixed(1)})`)
+                        .join(', ') || '—'
+                ];
+                cells.forEach(value => {
+                    const td = document.createElement('td');
+                    td.textContent = value ?? '';
+                    tr.appendChild(td);
+                });
+                tbody.appendChild(tr);
+            });
+        });
+    }
+
+    updateProductivityDashboard() {
+        const productivityData = this.data.processedData.productivity;
+
+        // Update Execution Metrics Chart
+        this.updateExecutionMetricsChart(productivityData.executionMetrics);
+
+        // Update Timeline Analytics Chart
+        this.updateTimelineAnalyticsChart(productivityData.timelineAnalytics);
+
+        // Update Resource Utilization Chart
+        this.updateResourceUtilizationChart(productivityData.resourceUtilization);
+
+        // Update Summary Metrics
+        this.updateProductivityMetrics(productivityData);
+    }
+
+    updateExecutionMetricsChart(data) {
+        const chart = this.charts.executionMetrics;
+
+        chart.data.datasets[0].data = data.current;
+        chart.data.datasets[1].data = data.previous;
+        chart.data.datasets[1].label = this.getComparisonLabel();
+        chart.update();
+    }
+
+    updateTimelineAnalyticsChart(data) {
+        const chart = this.charts.timelineAnalytics;
+        const labels = this.getTimelineSlots();
+        const series = valueFn => this.fillTimelineSeries(data.timeline, labels, 'timelineAnalytics', valueFn);
+
+        chart.data.labels = labels;
+        chart.data.datasets[0].data = series(bucket =>
+            bucket.filter(p => this.calculateDelayDays(p) <= 0).length
+        );
+        chart.data.datasets[1].data = series(bucket =>
+            bucket.filter(p => this.calculateDelayDays(p) > 0).length
+        );
+        const averageDelayFn = bucket =>
+            this.calculateAverage(bucket.map(p => Math.max(0, this.calculateDelayDays(p))));
+        chart.data.datasets[2].data = series(averageDelayFn);
+
+        const comparison = this.data.comparisonData?.productivity.timelineAnalytics;
+        this.setComparisonOverlay(chart, chart.data.datasets[2], comparison &&
+            this.getComparisonSeries(comparison.timeline, labels, 'timelineAnalytics', averageDelayFn));
+        chart.update();
+    }
+
+    updateResourceUtilizationChart(data) {
+        const chart = this.charts.resourceUtilization;
+
+        chart.data.labels = data.byTeam.map(t => t.team);
+        chart.data.datasets[0].data = data.byTeam.map(t => t.plannedHours);
+        chart.data.datasets[1].data = data.byTeam.map(t => t.actualHours);
+        chart.data.datasets[2].data = data.byTeam.map(t => Math.round(t.utilization));
+        chart.update();
+    }
+
+    updateProductivityMetrics(data) {
+        document.getElementById('execution-rate').textContent =
+            DashboardUtils.formatPercentage(data.executionMetrics.executionRate);
+        document.getElementById('efficiency-score').textContent =
+            Math.round(data.executionMetrics.efficiencyScore);
+        document.getElementById('ontime-delivery').textContent =
+            DashboardUtils.formatPercentage(data.timelineAnalytics.onTimeRate);
+        document.getElementById('avg-delay').textContent =
+            data.timelineAnalytics.averageDelay.toFixed(1);
+        document.getElementById('utilization-rate').textContent =
+            DashboardUtils.formatPercentage(data.resourceUtilization.utilizationRate);
+        document.getElementById('capacity-used').textContent =
+            DashboardUtils.formatPercentage(data.resourceUtilization.capacityUsed);
+    }
+
+    // Export Functionality
+    async exportDashboardData(format = 'xlsx') {
+        try {
+            this.ensureAllTabData();
+            const exportData = this.prepareExportData();
+            const timestamp = moment().format('YYYY-MM-DD_HH-mm');
+            const basename = `dashboard_export_${timestamp}`;
+
+            switch (format) {
+                case 'csv':
+                    await this.exportToCsvZip(exportData, `${basename}.zip`);
+                    break;
+                case 'json':
+                    this.exportToJson(exportData, `${basename}.json`);
+                    break;
+                default:
+                    this.exportToExcel(exportData, `${basename}.xlsx`);
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showError('Failed to export dashboard data');
+        }
+    }
+
+    prepareExportData() {
+        const { processedData, filteredData } = this.data;
+        if (!processedData) {
+            throw new Error('No dashboard data to export');
+        }
+        
+        // One group of sheets per tab; tabs the user may not open are left out
+        const tabSheets = {
+            planning: () => ({
+                'Project Volume': this.formatProjectVolumeForExport(processedData.planning.projectVolume),
+                'Turnaround Times': this.formatTurnaroundTimesForExport(processedData.planning.turnaroundTimes),
+                'Status Overview': this.formatStatusOverviewForExport(processedData.planning.statusOverview)
+            }),
+            productivity: () => ({
+                'Execution Metrics': this.formatExecutionMetricsForExport(processedData.productivity.executionMetrics),
+                'Timeline Analytics': this.formatTimelineAnalyticsForExport(processedData.productivity.timelineAnalytics),
+                'Resource Utilization': this.formatResourceUtilizationForExport(processedData.productivity.resourceUtilization)
+            }),
+            program: () => ({
+                'Project Distribution': this.formatDistributionForExport(processedData.program.distribution),
+                'Geographic Analysis': this.formatGeographicForExport(processedData.program.geographic),
+                'Trend Analysis': this.formatTrendsForExport(processedData.program.trends)
+            }),
+            quality: () => ({
+                'Defect Tracking': this.formatDefectsForExport(processedData.quality.defects),
+                'Quality Scores': this.formatQualityScoresForExport(processedData.quality.quality),
+                Compliance: this.formatComplianceForExport(processedData.quality.compliance)
+            }),
+            risk: () => ({
+                'Risk Register': this.formatRiskRegisterForExport(processedData.risk)
+            })
+        };
+
+        return {
+            Metadata: this.formatMetadataForExport(),
+
+            ...Object.assign({}, ...this.getAllowedTabs().map(tab => tabSheets[tab]())),
+
+            // Source rows after column mapping, validation and the global filters
+            'Raw - Project Status': filteredData.projectStatus,
+            'Raw - Issues Report': filteredData.issuesReport
+        };
+    }
+
+    // Everything needed to reproduce the export: range, timeframe, filters and data freshness
+    formatMetadataForExport() {
+        const metadata = {
+            'Exported At': moment().format('YYYY-MM-DD HH:mm:ss'),
+            'Date Range Start': this.dateRange.start.format('YYYY-MM-DD'),
+            'Date Range End': this.dateRange.end.format('YYYY-MM-DD'),
+            'Timeframe': this.currentTimeframe,
+            'Active Filters': JSON.stringify(this.getActiveFilters()),
+            'Region Scope': this.access?.regions ? this.access.regions.join(', ') : 'All regions',
+            'Last Update': this.lastUpdate ? moment(this.lastUpdate).format('YYYY-MM-DD HH:mm:ss') : '',
+            'Data Source': DATA_SOURCE_CONFIG.type,
+            'Fiscal Year Start Month': TIMEFRAME_CONFIG.fiscalYearStartMonth,
+            'Biweekly Anchor': TIMEFRAME_CONFIG.biweeklyAnchor,
+            'Risk Weights': JSON.stringify(this.riskWeights),
+            'KPI Targets': JSON.stringify(this.kpiSettings.targets)
+        };
+
+        Object.values(this.data.qualityReport?.datasets || {}).forEach(dataset => {
+            metadata[`${dataset.sheet} Rows`] = `${dataset.valid} valid of ${dataset.total}`;
+        });
+        this.getSchemaIssues().forEach(({ dataset, label, detail }) => {
+            metadata[`${dataset} ${label}`] = detail;
+        });
+
+        return Object.entries(metadata).map(([Key, Value]) => ({ Key, Value }));
+    }
+
+    // Filters and selectors that shape the exported metrics
+    getActiveFilters() {
+        return {
+            ...Object.fromEntries(Object.entries(this.filters).filter(([, values]) => values.length)),
+            distributionDimension: this.distributionDimension,
+            trendMetric: this.trendMetric
+        };
+    }
+
+    exportToExcel(data, filename) {
+        const workbook = XLSX.utils.book_new();
+
+        // Create worksheets for each data section
+        for (const [sheetName, sheetData] of Object.entries(data)) {
+            const worksheet = XLSX.utils.json_to_sheet(sheetData);
+            XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+        }
+
+        // Save the workbook
+        XLSX.writeFile(workbook, filename);
+    }
+
+    // One CSV per section, bundled into a zip
+    async exportToCsvZip(data, filename) {
+        const zip = new JSZip();
+
+        for (const [sectionName, sectionData] of Object.entries(data)) {
+            const worksheet = XLSX.utils.json_to_sheet(sectionData);
+            const csvName = sectionName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+            zip.file(`${csvName}.csv`, XLSX.utils.sheet_to_csv(worksheet));
+        }
+
+        this.downloadBlob(await zip.generateAsync({ type: 'blob' }), filename);
+    }
+
+    // Metadata as an object, every other section as an array of rows, plus the processed metrics as the
+    // dashboard holds them (and the comparison period's while compare mode is on)
+    exportToJson(data, filename) {
+        const { Metadata, ...sections } = data;
+        const json = {
+            metadata: Object.fromEntries(Metadata.map(({ Key, Value }) => [Key, Value])),
+            sections,
+            data: {
+                processedData: this.data.processedData,
+                ...(this.compareMode !== 'off' && { comparisonData: this.data.comparisonData })
+            }
+        };
+
+        this.downloadBlob(
+            new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }),
+            filename
+        );
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Chart image rendered onto a white background (Chart.js canvases are transparent)
+    getChartImage(chart) {
+        const canvas = document.createElement('canvas');
+        canvas.width = chart.canvas.width;
+        canvas.height = chart.canvas.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(chart.canvas, 0, 0);
+
+        return canvas.toDataURL('image/png');
+    }
+
+    // PNG download button on every chart card
+    setupChartDownloads() {
+        Object.entries(this.charts).forEach(([chartKey, chart]) => {
+            const card = chart.canvas.closest('.metric-card');
+            const button = document.createElement('button');
+            button.className = 'chart-download';
+            button.textContent = 'PNG';
+            button.setAttribute('aria-label', `Download ${card.querySelector('h3').textContent} chart as PNG`);
+            button.addEventListener('click', () => this.downloadChartImage(chartKey));
+            card.appendChild(button);
+        });
+    }
+
+    downloadChartImage(chartKey) {
+        try {
+            const timestamp = moment().format('YYYY-MM-DD_HH-mm');
+            const link = document.createElement('a');
+            link.href = this.getChartImage(this.charts[chartKey]);
+            link.download = `${chartKey}_${timestamp}.png`;
+            link.click();
+        } catch (error) {
+            console.error('Chart download failed:', error);
+            this.showError('Failed to download chart image');
+        }
+    }
+
+    // PDF report of the active tab: header with range and timestamp, then each card's chart and summary
+    exportCurrentTabToPdf() {
+        try {
+            const { jsPDF } = window.jspdf;
+            const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+            const pageWidth = doc.internal.pageSize.getWidth();
+            const pageHeight = doc.internal.pageSize.getHeight();
+            const margin = 36;
+            const columnGap = 24;
+            const cardWidth = (pageWidth - margin * 2 - columnGap) / 2;
+            const tabName = document.querySelector(`.main-nav a[data-tab="${this.currentTab}"]`).textContent;
+
+            // Header
+            doc.setFontSize(18);
+            doc.setTextColor('#232f3e');
+            doc.text(`MS Leadership Dashboard - ${tabName}`, margin, margin);
+            doc.setFontSize(10);
+            doc.setTextColor('#666666');
+            doc.text([
+                `Date range: ${this.dateRange.start.format('YYYY-MM-DD')} to ${this.dateRange.end.format('YYYY-MM-DD')} (${this.currentTimeframe})`,
+                `Generated: ${moment().format('YYYY-MM-DD HH:mm')}` +
+                    (this.lastUpdate ? `  |  Data updated: ${moment(this.lastUpdate).format('YYYY-MM-DD HH:mm')}` : '')
+            ], margin, margin + 18);
+
+            let y = margin + 50;
+            let column = 0;
+            let rowHeight = 0;
+
+            document.querySelectorAll(`#${this.currentTab} .metric-card`).forEach(card => {
+                const canvas = card.querySelector('canvas');
+                const chart = canvas ? Chart.getChart(canvas) : null;
+                const imageHeight = chart ? cardWidth * (chart.canvas.height / chart.canvas.width) : 0;
+                const summary = [...card.querySelectorAll('.metric')].map(metric => {
+                    const label = metric.querySelector('.metric-label')?.textContent.trim();
+                    const value = metric.querySelector('.metric-value')?.textContent.trim();
+                    const unit = metric.querySelector('.metric-unit')?.textContent.trim() || '';
+                    return `${label}: ${value} ${unit}`.trim();
+                });
+                const cardHeight = 20 + imageHeight + 8 + summary.length * 12;
+
+                if (y + cardHeight > pageHeight - margin) {
+                    doc.addPage();
+                    y = margin;
+                    column = 0;
+                    rowHeight = 0;
+                }
+
+                const x = margin + column * (cardWidth + columnGap);
+                doc.setFontSize(12);
+                doc.setTextColor('#232f3e');
+                doc.text(card.querySelector('h3').textContent, x, y + 12);
+                if (chart) {
+                    doc.addImage(this.getChartImage(chart), 'PNG', x, y + 20, cardWidth, imageHeight);
+                }
+                doc.setFontSize(9);
+                doc.setTextColor('#333333');
+                doc.text(summary, x, y + 20 + imageHeight + 14);
+
+                rowHeight = Math.max(rowHeight, cardHeight);
+                column = (column + 1) % 2;
+                if (column === 0) {
+                    y += rowHeight + 20;
+                    rowHeight = 0;
+                }
+            });
+
+            const timestamp = moment().format('YYYY-MM-DD_HH-mm');
+            doc.save(`dashboard_${this.currentTab}_${timestamp}.pdf`);
+        } catch (error) {
+            console.error('PDF export failed:', error);
+            this.showError('Failed to export PDF report');
+        }
+    }
+
+    // Utility Methods for Data Formatting
+    formatTimelineData(timelineData, chartKey) {
+        const labels = this.getTimelineSlots();
+
+        return {
+            labels,
+            total: this.fillTimelineSeries(timelineData, labels, chartKey, dateData => dateData.length),
+            active: this.fillTimelineSeries(timelineData, labels, chartKey, dateData =>
+                dateData.filter(item => item.status === 'Active').length
+            )
+        };
+    }
+
+    // Every bucket label in the range for the current timeframe, including empty ones
+    getTimelineSlots(range = this.dateRange) {
+        const intervals = {
+            daily: ['day', 1],
+            weekly: ['week', 1],
+            biweekly: ['week', 2],
+            quarterly: ['quarter', 1],
+            yearly: ['year', 1]
+        };
+        const [interval, step] = intervals[this.currentTimeframe] || ['month', 1];
+        const slots = DashboardUtils.generateTimeSlots(
+            this.getTimeBucketStart(range.start), range.end, interval, step
+        );
+
+        return [...new Set(slots.map(slot => this.getTimeBucket(slot)))];
+    }
+
+    // One value per label; buckets missing from the timeline are filled per TIMELINE_FILL_CONFIG
+    fillTimelineSeries(timeline, labels, chartKey, valueFn) {
+        const points = Object.entries(timeline).map(([date, bucket]) => ({ date, value: valueFn(bucket) }));
+        const fill = TIMELINE_FILL_CONFIG[chartKey] || 'zero';
+
+        return DashboardUtils.interpolateMissingValues(points, labels, 'value', fill).map(point => point.value);
+    }
+
+    formatProjectVolumeForExport(data) {
+        return Object.entries(data.timeline).map(([date, projects]) => ({
+            Date: date,
+            'Total Projects': projects.length,
+            'Active Projects': projects.filter(p => p.status === 'Active').length,
+            'Completed Projects': projects.filter(p => p.status === 'Completed').length
+        }));
+    }
+
+    formatTurnaroundTimesForExport(data) {
+        return Object.keys(data.byType).sort().map(type => ({
+            'Project Type': type,
+            'Completed Projects': data.byType[type].length,
+            'Average TAT (Days)': this.calculateAverage(data.byType[type]),
+            'Fastest TAT (Days)': Math.min(...data.byType[type]),
+            'Longest TAT (Days)': Math.max(...data.byType[type])
+        }));
+    }
+
+    formatStatusOverviewForExport(data) {
+        return Object.keys(data.counts).sort().map(status => ({
+            Status: status,
+            Projects: data.counts[status],
+            'Percentage (%)': data.percentages[status]
+        }));
+    }
+
+    formatExecutionMetricsForExport(data) {
+        const dimensions = this.charts.executionMetrics?.data.labels ||
+            ['Planning', 'Execution', 'Delivery', 'Quality', 'Timeline', 'Budget'];
+
+        return [
+            { Metric: 'Execution Rate (%)', 'Current Period': data.executionRate, 'Previous Period': '' },
+            { Metric: 'Efficiency Score', 'Current Period': data.efficiencyScore, 'Previous Period': '' },
+            ...dimensions.map((dimension, i) => ({
+                Metric: dimension,
+                'Current Period': data.current[i],
+                'Previous Period': data.previous[i]
+            }))
+        ];
+    }
+
+    formatTimelineAnalyticsForExport(data) {
+        return this.getTimelineSlots().map(period => {
+            const delivered = data.timeline[period] || [];
+            return {
+                Period: period,
+                'On Time': delivered.filter(p => this.calculateDelayDays(p) <= 0).length,
+                Late: delivered.filter(p => this.calculateDelayDays(p) > 0).length,
+                'Avg Delay (Days)': this.calculateAverage(delivered.map(p => Math.max(0, this.calculateDelayDays(p))))
+            };
+        });
+    }
+
+    formatResourceUtilizationForExport(data) {
+        return data.byTeam.map(team => ({
+            Team: team.team,
+            'Planned Hours': team.plannedHours,
+            'Actual Hours': team.actualHours,
+            'Utilization (%)': team.utilization
+        }));
+    }
+
+    formatDistributionForExport(data) {
+        return Object.entries(data).flatMap(([dimension, counts]) =>
+            Object.keys(counts).sort().map(value => ({
+                Dimension: dimension,
+                Value: value,
+                Projects: counts[value]
+            }))
+        );
+    }
+
+    formatGeographicForExport(regions) {
+        return regions.map(region => ({
+            Region: region.region,
+            Projects: region.projectVolume,
+            'Success Rate (%)': region.successRate,
+            'On-Time Rate (%)': region.onTimeRate,
+            'Budget Variance (%)': region.budgetVariance
+        }));
+    }
+
+    formatTrendsForExport(trends) {
+        return this.getTimelineSlots().map(period => ({
+            Period: period,
+            'Project Volume': trends[period]?.volume ?? 0,
+            'On-Time Delivery (%)': trends[period]?.performance ?? '',
+            'Avg Satisfaction Score': trends[period]?.satisfaction ?? ''
+        }));
+    }
+
+    formatDefectsForExport(data) {
+        const severities = Object.keys(data.bySeverity).sort();
+        return this.getTimelineSlots().map(period => {
+            const issues = data.timeline[period] || [];
+            const row = { Period: period, 'Total Issues': issues.length };
+            severities.forEach(severity => {
+                row[severity] = issues.filter(issue => this.normalizeSeverity(issue.severity) === severity).length;
+            });
+            return row;
+        });
+    }
+
+    formatQualityScoresForExport(data) {
+        return this.getTimelineSlots().map(period => {
+            const projects = data.timeline[period] || [];
+            return {
+                Period: period,
+                'Scored Projects': projects.length,
+                'Avg Quality Score': projects.length
+                    ? this.calculateAverage(projects.map(p => parseFloat(p.qualityScore)))
+                    : '',
+                'Target Score': this.getKpiTarget('avg-quality-score')
+            };
+        });
+    }
+
+    formatComplianceForExport(data) {
+        return this.getTimelineSlots().map(period => {
+            const projects = data.timeline[period] || [];
+            return {
+                Period: period,
+                'Assessed Projects': projects.length,
+                Compliant: projects.filter(p => this.isCompliant(p)).length,
+                Violations: projects.reduce((acc, project) => acc + this.countViolations(project), 0),
+                'Compliance Rate (%)': projects.length
+                    ? this.calculateRate(projects.filter(p => this.isCompliant(p)).length, projects.length)
+                    : ''
+            };
+        });
+    }
+
+    formatRiskRegisterForExport(data) {
+        return ['high', 'medium', 'low'].flatMap(level =>
+            data.register[level].map(entry => ({
+                'Risk Level': level,
+                'Risk Score': entry.score,
+                'Project ID': entry.id,
+                'Project Name': entry.name,
+                Region: entry.region,
+                Status: entry.status,
+                'Top Factors': entry.factors
+                    .map(f => `${RISK_CONFIG.factorLabels[f.factor]} (${f.contribution.toFixed(1)})`)
+                    .join(', ')
+            }))
+        );
+    }
+
+    // Date Utility Methods
+    getDateFormatForTimeframe() {
+        switch (this.currentTimeframe) {
+            case 'daily':
+                return 'YYYY-MM-DD';
+            case 'weekly':
+                return 'GGGG-[W]WW';
+            case 'biweekly':
+                return 'YYYY-MM-DD'; // start date of the two-week period
+            case 'monthly':
+            case 'ytd':
+                return 'YYYY-MM';
+            case 'quarterly':
+                return 'YYYY-[Q]Q';
+            case 'yearly':
+                return 'YYYY';
+            default:
+                return 'YYYY-MM-DD';
+        }
+    }
+
+    // Start of the bucket containing the given date for the current timeframe
+    getTimeBucketStart(date) {
+        const value = moment(date);
+        const fiscalOffset = TIMEFRAME_CONFIG.fiscalYearStartMonth - 1;
+
+        switch (this.currentTimeframe) {
+            case 'daily':
+                return value.startOf('day');
+            case 'weekly':
+                return value.startOf('isoWeek');
+            case 'biweekly': {
+                const anchor = moment(TIMEFRAME_CONFIG.biweeklyAnchor).startOf('day');
+                const periods = Math.floor(value.startOf('day').diff(anchor, 'days') / 14);
+                return anchor.add(periods * 14, 'days');
+            }
+            case 'quarterly':
+                return value.subtract(fiscalOffset, 'months').startOf('quarter').add(fiscalOffset, 'months');
+            case 'yearly':
+                return value.subtract(fiscalOffset, 'months').startOf('year').add(fiscalOffset, 'months');
+            default:
+                return value.startOf('month');
+        }
+    }
+
+    // Bucket label for a date; with a non-January fiscal year, quarters and years are
+    // named after the calendar year the fiscal year ends in (FY2025-Q1, FY2025)
+    getTimeBucket(date) {
+        const start = this.getTimeBucketStart(date);
+        const fiscalOffset = TIMEFRAME_CONFIG.fiscalYearStartMonth - 1;
+
+        if (fiscalOffset && ['quarterly', 'yearly'].includes(this.currentTimeframe)) {
+            const fiscalYear = start.clone().subtract(fiscalOffset, 'months').year() + 1;
+            if (this.currentTimeframe === 'yearly') return `FY${fiscalYear}`;
+
+            const quarter = Math.floor(((start.month() - fiscalOffset + 12) % 12) / 3) + 1;
+            return `FY${fiscalYear}-Q${quarter}`;
+        }
+
+        return start.format(this.getDateFormatForTimeframe());
+    }
+
+    // YTD pins the range to Jan 1 - today (and locks the picker); other timeframes keep the chosen range
+    getYearToDateRange() {
+        return {
+            start: moment().startOf('year'),
+            end: moment()
+        };
+    }
+
+    // Performance Optimization Methods
+    debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
+
+    memoize(fn) {
+        const cache = new Map();
+        return (...args) => {
+            const key = JSON.stringify(args);
+            if (cache.has(key)) return cache.get(key);
+            const result = fn.apply(this, args);
+            cache.set(key, result);
+            return result;
+        };
+    }
+
+    // Additional Chart Implementations
+    createExecutionMetricsChart() {
+        const ctx = document.getElementById('executionChart').getContext('2d');
+        return new Chart(ctx, {
+            type: 'radar',
+            data: {
+                labels: ['Planning', 'Execution', 'Delivery', 'Quality', 'Timeline', 'Budget'],
+                datasets: [{
+                    label: 'Current Period',
+                    data: [],
+                    borderColor: '#ff9900',
+                    backgroundColor: 'rgba(255, 153, 0, 0.2)'
+                }, {
+                    label: 'Previous Period',
+                    data: [],
+                    borderColor: '#232f3e',
+                    backgroundColor: 'rgba(35, 47, 62, 0.2)'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    r: {
+                        beginAtZero: true,
+                        max: 100,
+                        ticks: {
+                            stepSize: 20
+                        }
+                    }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.label}: ${context.formattedValue}%`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    createTimelineAnalyticsChart() {
+        const ctx = document.getElementById('timelineChart').getContext('2d');
+        return new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'On Time',
+                    backgroundColor: '#28a745',
+                    data: [],
+                    stack: 'delivery'
+                }, {
+                    label: 'Late',
+                    backgroundColor: '#dc3545',
+                    data: [],
+                    stack: 'delivery'
+                }, {
+                    type: 'line',
+                    label: 'Avg Delay (Days)',
+                    borderColor: '#232f3e',
+                    data: [],
+                    tension: 0.4,
+                    yAxisID: 'delay'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'top'
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        stacked: true,
+                        ticks: {
+                            precision: 0
+                        }
+                    },
+                    delay: {
+                        beginAtZero: true,
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'Days'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    createResourceUtilizationChart() {
+        const ctx = document.getElementById('resourceChart').getContext('2d');
+        return new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Planned Hours',
+                    backgroundColor: '#17a2b8',
+                    data: []
+                }, {
+                    label: 'Actual Hours',
+                    backgroundColor: '#ff9900',
+                    data: []
+                }, {
+                    type: 'line',
+                    label: 'Utilization (%)',
+                    borderColor: '#232f3e',
+                    data: [],
+                    yAxisID: 'utilization'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'top'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Hours'
+                        }
+                    },
+                    utilization: {
+                        beginAtZero: true,
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        ticks: {
+                            callback: value => `${value}%`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    createQualityScoresChart() {
+        const ctx = document.getElementById('qualityScoreChart').getContext('2d');
+        return new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Quality Score',
+                    data: [],
+                    borderColor: '#28a745',
+                    fill: false,
+                    tension: 0.4
+                }, {
+                    label: 'Target Score',
+                    data: [],
+                    borderColor: '#dc3545',
+                    borderDash: [5, 5],
+                    fill: false
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 100,
+                        ticks: {
+                            callback: value => `${value}%`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    createGeographicAnalysisChart() {
+        const ctx = document.getElementById('geoChart').getContext('2d');
+        return new Chart(ctx, {
+            type: 'bubble',
+            data: {
+                datasets: []
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        type: 'linear',
+                        position: 'bottom',
+                        title: {
+                            display: true,
+                            text: 'Project Volume'
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Success Rate (%)'
+                        }
+                    }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const dataset = context.dataset;
+                                const index = context.dataIndex;
+                                return [
+                                    `Region: ${dataset.label}`,
+                                    `Volume: ${dataset.data[index].x}`,
+                                    `Success Rate: ${dataset.data[index].y}%`,
+                                    `On-Time Rate: ${dataset.data[index].onTimeRate}%`,
+                                    `Budget Variance: ${dataset.data[index].budgetVariance}%`
+                                ];
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    createProjectDistributionChart() {
+        const ctx = document.getElementById('distributionChart').getContext('2d');
+        return new Chart(ctx, {
+            type: 'pie',
+            data: {
+                labels: [],
+                datasets: [{
+                    data: [],
+                    backgroundColor: []
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'right'
+                    }
+                }
+            }
+        });
+    }
+
+    createTrendAnalysisChart() {
+        const ctx = document.getElementById('trendChart').getContext('2d');
+        return new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: '',
+                    borderColor: '#ff9900',
+                    backgroundColor: 'rgba(255, 153, 0, 0.2)',
+                    data: [],
+                    fill: true,
+                    tension: 0.4,
+                    spanGaps: false
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'top'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
+
+    createDefectTrackingChart() {
+        const ctx = document.getElementById('defectChart').getContext('2d');
+        return new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: []
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'top'
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false
+                    }
+                },
+                scales: {
+                    x: {
+                        stacked: true
+                    },
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        ticks: {
+                            precision: 0
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    createComplianceMetricsChart() {
+        const ctx = document.getElementById('complianceChart').getContext('2d');
+        return new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Violations',
+                    backgroundColor: '#dc3545',
+                    data: []
+                }, {
+                    type: 'line',
+                    label: 'Compliance Rate (%)',
+                    borderColor: '#28a745',
+                    data: [],
+                    tension: 0.4,
+                    yAxisID: 'rate'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'top'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            precision: 0
+                        }
+                    },
+                    rate: {
+                        beginAtZero: true,
+                        max: 100,
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        ticks: {
+                            callback: value => `${value}%`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    createRiskTrendChart() {
+        const ctx = document.getElementById('riskTrendChart').getContext('2d');
+        return new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Avg Risk Score',
+                    borderColor: '#dc3545',
+                    data: [],
+                    tension: 0.4
+                }, {
+                    type: 'bar',
+                    label: 'High Risk Projects',
+                    backgroundColor: 'rgba(220, 53, 69, 0.3)',
+                    data: [],
+                    yAxisID: 'count'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'top'
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 100
+                    },
+                    count: {
+                        beginAtZero: true,
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        ticks: {
+                            precision: 0
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Advanced Data Processing Methods
+    processGeographicData(projects) {
+        const regionData = {};
+
+        // Group projects by region
+        projects.forEach(project => {
+            if (!regionData[project.region]) {
+                regionData[project.region] = {
+                    totalProjects: 0,
+                    successfulProjects: 0,
+                    deliveredProjects: 0,
+                    onTimeDelivery: 0,
+                    totalBudget: 0,
+                    actualCost: 0
+                };
+            }
+
+            const region = regionData[project.region];
+            region.totalProjects++;
+            
+            if (project.status === 'Completed' && project.qualityScore >= 90) {
+                region.successfulProjects++;
+            }
+
+            // Same rule as the timeline analytics: only delivered projects count, on time means no delay
+            if (this.getDeliveryDate(project) && project.plannedDeliveryDate) {
+                region.deliveredProjects++;
+                if (this.calculateDelayDays(project) <= 0) {
+                    region.onTimeDelivery++;
+                }
+            }
+
+            region.totalBudget += parseFloat(project.plannedBudget || 0);
+            region.actualCost += parseFloat(project.actualCost || 0);
+        });
+
+        // Calculate metrics for each region
+        return Object.entries(regionData).map(([region, data]) => ({
+            region,
+            successRate: (data.successfulProjects / data.totalProjects) * 100,
+            onTimeRate: this.calculateRate(data.onTimeDelivery, data.deliveredProjects),
+            budgetVariance: data.totalBudget ? ((data.actualCost - data.totalBudget) / data.totalBudget) * 100 : 0,
+            projectVolume: data.totalProjects
+        }));
+    }
+
+    calculateRiskMetrics(projects) {
+        const riskData = {
+            high: [],
+            medium: [],
+            low: []
+        };
+
+        projects.forEach(project => {
+            const riskScore = this.calculateProjectRiskScore(project);
+            const entry = {
+                id: project.id,
+                name: project.name,
+                region: project.region,
+                status: project.status,
+                score: Math.round(riskScore * 10) / 10,
+                factors: this.rankProjectRiskFactors(project)
+            };
+            if (riskScore >= 75) {
+                riskData.high.push(entry);
+            } else if (riskScore >= 40) {
+                riskData.medium.push(entry);
+            } else {
+                riskData.low.push(entry);
+            }
+        });
+
+        Object.values(riskData).forEach(entries => entries.sort((a, b) => b.score - a.score));
+
+        return {
+            riskDistribution: {
+                high: riskData.high.length,
+                medium: riskData.medium.length,
+                low: riskData.low.length
+            },
+            register: riskData,
+            riskTrend: this.calculateRiskTrend(projects),
+            topRiskFactors: this.identifyTopRiskFactors(projects)
+        };
+    }
+
+    calculateProjectRiskScore(project) {
+        const scores = this.calculateProjectRiskFactors(project);
+
+        return Object.entries(this.riskWeights).reduce((total, [factor, weight]) => {
+            return total + (scores[factor] * weight);
+        }, 0);
+    }
+
+    calculateProjectRiskFactors(project) {
+        return {
+            timeline: this.calculateTimelineRisk(project),
+            budget: this.calculateBudgetRisk(project),
+            complexity: this.evaluateComplexity(project),
+            dependencies: this.evaluateDependencies(project),
+            resources: this.evaluateResourceRisk(project)
+        };
+    }
+
+    // Weighted contribution of each factor to the project's score, largest first
+    rankProjectRiskFactors(project) {
+        const scores = this.calculateProjectRiskFactors(project);
+
+        return Object.entries(this.riskWeights)
+            .map(([factor, weight]) => ({ factor, contribution: scores[factor] * weight }))
+            .filter(f => f.contribution > 0)
+            .sort((a, b) => b.contribution - a.contribution);
+    }
+
+    // Factor scorers - each returns 0 (no risk) to 100 (maximum risk); missing data scores 0
+
+    // Open projects: overdue is 100, otherwise scales with elapsed share of the planned duration.
+    // Delivered projects: scales with the delay relative to the planned duration.
+    calculateTimelineRisk(project) {
+        if (!project.startDate || !project.plannedDeliveryDate) return 0;
+
+        const plannedDays = Math.max(1, moment(project.plannedDeliveryDate).diff(moment(project.startDate), 'days'));
+
+        if (this.getDeliveryDate(project)) {
+            const delay = this.calculateDelayDays(project);
+            return delay <= 0 ? 0 : this.clampScore((delay / plannedDays) * 200);
+        }
+
+        if (moment().isAfter(project.plannedDeliveryDate, 'day')) return 100;
+
+        const elapsedDays = moment().diff(moment(project.startDate), 'days');
+        return this.clampScore((elapsedDays / plannedDays) * 80);
+    }
+
+    // 0 at or below 80% of budget spent, 100 at 120% and above
+    calculateBudgetRisk(project) {
+        const budget = parseFloat(project.plannedBudget || project.budget);
+        const cost = parseFloat(project.actualCost);
+        if (!budget || isNaN(cost)) return 0;
+
+        return this.clampScore(((cost / budget) - 0.8) / 0.4 * 100);
+    }
+
+    // Accepts Low/Medium/High/Very High labels or a 1-5 rating
+    evaluateComplexity(project) {
+        if (!project.complexity) return 0;
+
+        const rating = parseFloat(project.complexity);
+        if (!isNaN(rating)) return this.clampScore(rating * 20);
+
+        return RISK_CONFIG.complexityScores[project.complexity.toString().trim().toLowerCase()] || 0;
+    }
+
+    // Accepts a count or a comma/semicolon separated list of dependent projects; 5+ dependencies is 100
+    evaluateDependencies(project) {
+        if (!project.dependencies) return 0;
+
+        const count = isNaN(Number(project.dependencies))
+            ? project.dependencies.toString().split(/[,;]/).filter(d => d.trim()).length
+            : Number(project.dependencies);
+        return this.clampScore(count * 20);
+    }
+
+    // Hours overrun, scored like budget overrun
+    evaluateResourceRisk(project) {
+        const planned = parseFloat(project.plannedHours);
+        const actual = parseFloat(project.actualHours);
+        if (!planned || isNaN(actual)) return 0;
+
+        return this.clampScore(((actual / planned) - 0.8) / 0.4 * 100);
+    }
+
+    calculateRiskTrend(projects) {
+        const timeline = this.generateTimelineData(projects, 'risk');
+
+        return Object.keys(timeline).sort().map(period => {
+            const scores = timeline[period].map(project => this.calculateProjectRiskScore(project));
+            return {
+                period,
+                averageScore: Math.round(this.calculateAverage(scores) * 10) / 10,
+                highRisk: scores.filter(score => score >= 75).length
+            };
+        });
+    }
+
+    // Average weighted contribution of each factor across all projects, largest first
+    identifyTopRiskFactors(projects) {
+        const totals = {};
+        projects.forEach(project => {
+            const scores = this.calculateProjectRiskFactors(project);
+            for (const [factor, weight] of Object.entries(this.riskWeights)) {
+                totals[factor] = (totals[factor] || 0) + scores[factor] * weight;
+            }
+        });
+
+        return Object.entries(totals)
+            .map(([factor, total]) => ({
+                factor,
+                averageContribution: projects.length ? Math.round((total / projects.length) * 10) / 10 : 0
+            }))
+            .sort((a, b) => b.averageContribution - a.averageContribution);
+    }
+
+    clampScore(value) {
+        return Math.min(100, Math.max(0, value));
+    }
+
+    // Risk Weights Settings
+    loadRiskWeights() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(RISK_CONFIG.storageKey));
+            if (stored) {
+                return { ...RISK_CONFIG.weights, ...stored };
+            }
+        } catch (error) {
+            console.warn('Failed to load risk weights:', error);
+        }
+        return { ...RISK_CONFIG.weights };
+    }
+
+    saveRiskWeights(weights) {
+        const total = Object.values(weights).reduce((acc, weight) => acc + weight, 0);
+        if (!total) {
+            throw new Error('At least one risk weight must be greater than zero');
+        }
+
+        // Normalise so the weights always sum to 1 and scores stay on a 0-100 scale
+        this.riskWeights = {};
+        for (const [factor, weight] of Object.entries(weights)) {
+            this.riskWeights[factor] = weight / total;
+        }
+
+        try {
+            localStorage.setItem(RISK_CONFIG.storageKey, JSON.stringify(this.riskWeights));
+        } catch (error) {
+            console.warn('Failed to persist risk weights:', error);
+        }
+    }
+
+    setupRiskWeightsDialog() {
+        this.riskWeightsDialog = document.getElementById('risk-weights-dialog');
+        const form = this.riskWeightsDialog.querySelector('form');
+
+        document.getElementById('edit-risk-weights').addEventListener('click', () => {
+            for (const [factor, weight] of Object.entries(this.riskWeights)) {
+                form.elements[factor].value = Math.round(weight * 100);
+            }
+            this.riskWeightsDialog.showModal();
+        });
+
+        form.querySelector('.reset-risk-weights').addEventListener('click', () => {
+            for (const [factor, weight] of Object.entries(RISK_CONFIG.weights)) {
+                form.elements[factor].value = Math.round(weight * 100);
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            if (e.submitter?.value !== 'save') return;
+
+            const weights = {};
+            Object.keys(RISK_CONFIG.weights).forEach(factor => {
+                weights[factor] = Math.max(0, parseFloat(form.elements[factor].value) || 0);
+            });
+
+            try {
+                this.saveRiskWeights(weights);
+            } catch (error) {
+                e.preventDefault();
+                this.showError(error.message);
+                return;
+            }
+
+            // Weights are part of the view key, so the active tab recomputes with them
+            this.updateDashboard();
+        });
+    }
+
+    // KPI Targets - defaults from KPI_CONFIG, overridden from the targets dialog
+    loadKpiSettings() {
+        const defaults = {
+            targets: this.getDefaultKpiTargets(),
+            notifications: false
+        };
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(KPI_CONFIG.storageKey));
+            if (stored) {
+                return {
+                    targets: { ...defaults.targets, ...stored.targets },
+                    notifications: Boolean(stored.notifications)
+                };
+            }
+        } catch (error) {
+            console.warn('Failed to load KPI targets:', error);
+        }
+        return defaults;
+    }
+
+    getDefaultKpiTargets() {
+        return Object.fromEntries(Object.entries(KPI_CONFIG.kpis)
+            .map(([id, { target, critical }]) => [id, { target, critical }]));
+    }
+
+    saveKpiSettings(settings) {
+        for (const [id, { target, critical }] of Object.entries(settings.targets)) {
+            const { label, direction } = KPI_CONFIG.kpis[id];
+            if (!Number.isFinite(target) || !Number.isFinite(critical)) {
+                throw new Error(`${label} needs a target and a critical threshold`);
+            }
+            if (direction === 'min' ? critical > target : critical < target) {
+                throw new Error(`${label}: the critical threshold must be ${direction === 'min' ? 'at or below' : 'at or above'} the target`);
+            }
+        }
+
+        this.kpiSettings = settings;
+        try {
+            localStorage.setItem(KPI_CONFIG.storageKey, JSON.stringify(settings));
+        } catch (error) {
+            console.warn('Failed to persist KPI targets:', error);
+        }
+    }
+
+    getKpiTarget(id) {
+        return this.kpiSettings.targets[id].target;
+    }
+
+    // e.g. "≥ 85%" or "≤ 30 days"
+    describeKpiTarget(id) {
+        const { direction, unit } = KPI_CONFIG.kpis[id];
+        return `${direction === 'min' ? '≥' : '≤'} ${this.getKpiTarget(id)}${unit}`;
+    }
+
+    getKpiStatus(id, value) {
+        const { direction } = KPI_CONFIG.kpis[id];
+        const { target, critical } = this.kpiSettings.targets[id];
+        const isWorseThan = threshold => (direction === 'min' ? value < threshold : value > threshold);
+
+        if (isWorseThan(critical)) return 'critical';
+        if (isWorseThan(target)) return 'warning';
+        return 'ok';
+    }
+
+    // KPI statuses for the current view. Only tabs computed for this view count, and rates measured
+    // over no rows read 0 rather than missing, so those are not judged.
+    evaluateKpis() {
+        if (!this.data.processedData) return [];
+
+        const viewKey = this.getViewKey();
+        const current = Object.fromEntries(
+            Object.entries(this.data.processedData).filter(([tab]) => this.data.tabViewKeys[tab] === viewKey)
+        );
+        const metrics = this.getSummaryMetrics(current);
+        const sampleSizes = {
+            'ontime-delivery': current.productivity?.timelineAnalytics.delivered,
+            'compliance-rate': current.quality?.compliance.assessed,
+            'avg-quality-score': current.quality?.quality.scored
+        };
+
+        return Object.keys(KPI_CONFIG.kpis)
+            .filter(id => Number.isFinite(metrics[id]) && sampleSizes[id] !== 0)
+            .map(id => ({ id, value: metrics[id], status: this.getKpiStatus(id, metrics[id]) }));
+    }
+
+    setupKpiTargetsDialog() {
+        this.kpiTargetsDialog = document.getElementById('kpi-targets-dialog');
+        const form = this.kpiTargetsDialog.querySelector('form');
+
+        const fields = form.querySelector('.kpi-target-fields');
+        for (const [id, { label, unit }] of Object.entries(KPI_CONFIG.kpis)) {
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.textContent = unit.trim() ? `${label} (${unit.trim()})` : label;
+            fieldset.appendChild(legend);
+
+            ['target', 'critical'].forEach(threshold => {
+                const field = document.createElement('label');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = 'any';
+                input.name = `${id}.${threshold}`;
+                field.append(threshold === 'target' ? 'Target ' : 'Critical ', input);
+                fieldset.appendChild(field);
+            });
+            fields.appendChild(fieldset);
+        }
+
+        const fillForm = ({ targets, notifications }) => {
+            for (const [id, { target, critical }] of Object.entries(targets)) {
+                form.elements[`${id}.target`].value = target;
+                form.elements[`${id}.critical`].value = critical;
+            }
+            form.elements.notifications.checked = notifications;
+        };
+
+        document.getElementById('edit-kpi-targets').addEventListener('click', () => {
+            fillForm(this.kpiSettings);
+            this.kpiTargetsDialog.showModal();
+        });
+
+        form.querySelector('.reset-kpi-targets').addEventListener('click', () => {
+            fillForm({ targets: this.getDefaultKpiTargets(), notifications: form.elements.notifications.checked });
+        });
+
+        form.addEventListener('submit', (e) => {
+            if (e.submitter?.value !== 'save') return;
+
+            const targets = {};
+            Object.keys(KPI_CONFIG.kpis).forEach(id => {
+                targets[id] = {
+                    target: parseFloat(form.elements[`${id}.target`].value),
+                    critical: parseFloat(form.elements[`${id}.critical`].value)
+                };
+            });
+            const notifications = form.elements.notifications.checked;
+
+            try {
+                this.saveKpiSettings({ targets, notifications });
+            } catch (error) {
+                e.preventDefault();
+                this.showError(error.message);
+                return;
+            }
+
+            // Saving is a user gesture, so this is where the browser may ask for permission
+            if (notifications && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+                Notification.requestPermission();
+            }
+
+            // New targets apply to the cards now and to the history from the next load
+            this.updateDashboard();
+        });
+    }
+
+    // Alerts - evaluated after every load. Only changes in a KPI's status within the same view are recorded,
+    // so reloading unchanged data or switching ranges and filters adds nothing to the history.
+    loadAlertHistory() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(ALERT_CONFIG.historyKey));
+            if (Array.isArray(stored)) {
+                return stored.filter(entry => KPI_CONFIG.kpis[entry?.kpi]);
+            }
+        } catch (error) {
+            console.warn('Failed to load alert history:', error);
+        }
+        return [];
+    }
+
+    persistAlertHistory() {
+        try {
+            localStorage.setItem(ALERT_CONFIG.historyKey, JSON.stringify(this.alertHistory));
+        } catch (error) {
+            console.warn('Failed to persist alert history:', error);
+        }
+    }
+
+    evaluateAlerts(notify = false) {
+        const view = this.getAlertView();
+        const lastStatus = id => this.alertHistory
+            .find(entry => entry.kpi === id && entry.view === view)?.status || 'ok';
+        const at = new Date().toISOString();
+
+        const changes = this.evaluateKpis()
+            .filter(({ id, status }) => status !== lastStatus(id))
+            .map(({ id, value, status }) => ({
+                kpi: id,
+                status,
+                value: Math.round(value * 10) / 10,
+                target: this.describeKpiTarget(id),
+                view,
+                at
+            }));
+        if (!changes.length) return;
+
+        this.alertHistory = [...changes, ...this.alertHistory].slice(0, ALERT_CONFIG.maxHistory);
+        this.persistAlertHistory();
+        this.renderAlertHistory();
+
+        const breaches = changes.filter(entry => entry.status !== 'ok');
+        if (notify && breaches.length) {
+            this.notifyAlerts(breaches);
+        }
+    }
+
+    // The view KPI values were measured in, e.g. "2024-01-01 to 2024-03-31 · region: EU, APAC"
+    getAlertView() {
+        const range = `${this.dateRange.start.format('YYYY-MM-DD')} to ${this.dateRange.end.format('YYYY-MM-DD')}`;
+        const filters = Object.entries(this.filters)
+            .filter(([, values]) => values.length)
+            .map(([field, values]) => `${field}: ${values.join(', ')}`);
+        return [range, ...filters].join(' · ');
+    }
+
+    notifyAlerts(entries) {
+        if (!this.kpiSettings.notifications || typeof Notification === 'undefined'
+            || Notification.permission !== 'granted') {
+            return;
+        }
+
+        // Some browsers (e.g. Chrome on Android) only allow notifications from a service worker
+        try {
+            new Notification(ALERT_CONFIG.notificationTitle, {
+                body: entries.map(entry => this.describeAlert(entry)).join('\n'),
+                tag: 'kpi-alerts'
+            });
+        } catch (error) {
+            console.warn('Failed to show alert notification:', error);
+        }
+    }
+
+    // e.g. "Critical: On-Time Delivery 64.2% (target ≥ 85%)"
+    describeAlert({ kpi, status, value, target }) {
+        const { label, unit } = KPI_CONFIG.kpis[kpi];
+        return `${ALERT_CONFIG.statusLabels[status]}: ${label} ${value}${unit} (target ${target})`;
+    }
+
+    setupAlertsPanel() {
+        this.alertsPanel = document.getElementById('alerts-panel');
+
+        document.getElementById('alerts-toggle').addEventListener('click', () => {
+            this.alertsPanel.classList.toggle('hidden');
+        });
+
+        this.alertsPanel.querySelector('.close-alerts').addEventListener('click', () => {
+            this.alertsPanel.classList.add('hidden');
+        });
+
+        document.getElementById('clear-alert-history').addEventListener('click', () => {
+            this.alertHistory = [];
+            this.persistAlertHistory();
+            this.renderAlertHistory();
+        });
+
+        this.renderAlertHistory();
+    }
+
+    // Breached KPIs are highlighted on their cards and listed, with the badge count, in the alerts panel
+    renderKpiStatus() {
+        const results = this.evaluateKpis();
+        const statuses = new Map(results.map(({ id, status }) => [id, status]));
+
+        Object.keys(KPI_CONFIG.kpis).forEach(id => {
+            const metric = document.getElementById(id)?.closest('.metric');
+            if (!metric) return;
+
+            const status = statuses.get(id) || 'ok';
+            metric.classList.toggle('kpi-warning', status === 'warning');
+            metric.classList.toggle('kpi-critical', status === 'critical');
+            metric.title = statuses.has(id) ? `Target ${this.describeKpiTarget(id)}` : '';
+        });
+
+        document.querySelectorAll('.metric-card').forEach(card => {
+            card.classList.toggle('kpi-breach', Boolean(card.querySelector('.kpi-warning, .kpi-critical')));
+        });
+
+        const breaches = results.filter(({ status }) => status !== 'ok');
+        const toggle = document.getElementById('alerts-toggle');
+        toggle.querySelector('.alerts-count').textContent = breaches.length;
+        toggle.classList.toggle('has-alerts', breaches.length > 0);
+
+        const list = this.alertsPanel.querySelector('.alerts-active');
+        list.innerHTML = '';
+        breaches.forEach(({ id, status, value }) => {
+            const item = document.createElement('li');
+            item.className = status;
+            item.textContent = this.describeAlert({
+                kpi: id, status, value: Math.round(value * 10) / 10, target: this.describeKpiTarget(id)
+            });
+            list.appendChild(item);
+        });
+        this.alertsPanel.querySelector('.alerts-empty').classList.toggle('hidden', breaches.length > 0);
+    }
+
+    renderAlertHistory() {
+        const tbody = this.alertsPanel.querySelector('.alerts-history tbody');
+        tbody.innerHTML = '';
+
+        this.alertHistory.forEach(({ kpi, status, value, target, view = '', at }) => {
+            const { label, unit } = KPI_CONFIG.kpis[kpi];
+            const tr = document.createElement('tr');
+            tr.className = status;
+            [moment(at).format('YYYY-MM-DD HH:mm'), label, ALERT_CONFIG.statusLabels[status], `${value}${unit}`, target, view]
+                .forEach(text => {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    tr.appendChild(td);
+                });
+            tbody.appendChild(tr);
+        });
+
+        this.alertsPanel.querySelector('.alerts-history-empty')
+            .classList.toggle('hidden', this.alertHistory.length > 0);
+    }
+
+    // Period Comparison - comparison buckets are matched to the current ones by position
+    getComparisonSeries(timeline, labels, chartKey, valueFn) {
+        const comparisonLabels = this.getTimelineSlots(this.getComparisonDateRange());
+        return this.fillTimelineSeries(timeline, comparisonLabels, chartKey, valueFn).slice(0, labels.length);
+    }
+
+    // Replaces the dashed comparison line on a timeline chart; passing no data just removes it
+    setComparisonOverlay(chart, source, data) {
+        chart.data.datasets = chart.data.datasets.filter(dataset => !dataset.comparison);
+        if (!data) return;
+
+        chart.data.datasets.push({
+            type: 'line',
+            label: `${source.label} (${this.getComparisonLabel()})`,
+            comparison: true,
+            data,
+            ...(source.yAxisID && { yAxisID: source.yAxisID }),
+            stack: 'comparison',
+            borderColor: COMPARISON_CONFIG.overlayColor,
+            backgroundColor: COMPARISON_CONFIG.overlayColor,
+            borderDash: [6, 4],
+            borderWidth: 2,
+            pointRadius: 2,
+            fill: false,
+            tension: 0.4
+        });
+    }
+
+    // Summary card values keyed by element id; tabs not computed yet are left out
+    getSummaryMetrics(processed) {
+        const { planning, productivity, quality, risk } = processed;
+
+        return {
+            ...(planning && {
+                'total-projects': planning.projectVolume.total,
+                'active-projects': planning.projectVolume.active,
+                'completed-projects': planning.projectVolume.completed,
+                'avg-tat': planning.turnaroundTimes.average,
+                'min-tat': planning.turnaroundTimes.min,
+                'max-tat': planning.turnaroundTimes.max
+            }),
+            ...(productivity && {
+                'execution-rate': productivity.executionMetrics.executionRate,
+                'efficiency-score': productivity.executionMetrics.efficiencyScore,
+                'ontime-delivery': productivity.timelineAnalytics.onTimeRate,
+                'avg-delay': productivity.timelineAnalytics.averageDelay,
+                'utilization-rate': productivity.resourceUtilization.utilizationRate,
+                'capacity-used': productivity.resourceUtilization.capacityUsed
+            }),
+            ...(quality && {
+                'critical-defects': quality.defects.critical,
+                'major-defects': quality.defects.major,
+                'avg-quality-score': quality.quality.average,
+                'top-quality-score': quality.quality.top,
+                'compliance-rate': quality.compliance.complianceRate,
+                'compliance-violations': quality.compliance.violations
+            }),
+            ...(risk && {
+                'high-risk-count': risk.riskDistribution.high,
+                'medium-risk-count': risk.riskDistribution.medium,
+                'low-risk-count': risk.riskDistribution.low
+            })
+        };
+    }
+
+    // ▲/▼ growth badge next to every summary card value; hidden when compare mode is off
+    renderMetricDeltas() {
+        const current = this.getSummaryMetrics(this.data.processedData);
+        const previous = this.data.comparisonData && this.getSummaryMetrics(this.data.comparisonData);
+
+        for (const [id, value] of Object.entries(current)) {
+            const metric = document.getElementById(id)?.closest('.metric');
+            if (!metric) continue;
+
+            let badge = metric.querySelector('.metric-trend');
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'metric-trend';
+                metric.appendChild(badge);
+            }
+
+            badge.classList.remove('positive', 'negative', 'neutral');
+            badge.classList.toggle('hidden', previous?.[id] === undefined);
+            if (previous?.[id] === undefined) continue;
+
+            const growth = DashboardUtils.calculateGrowth(value, previous[id]);
+            const previousValue = Math.round(previous[id] * 10) / 10;
+            badge.title = `${this.getComparisonLabel()}: ${previousValue}`;
+
+            if (growth === null || !Number.isFinite(growth)) {
+                badge.textContent = value ? 'new' : '—';
+                badge.classList.add('neutral');
+            } else if (Math.abs(growth) < 0.05) {
+                badge.textContent = '0.0%';
+                badge.classList.add('neutral');
+            } else {
+                const improved = COMPARISON_CONFIG.lowerIsBetter.includes(id) ? growth < 0 : growth > 0;
+                badge.textContent = `${growth > 0 ? '▲ +' : '▼ '}${growth.toFixed(1)}%`;
+                badge.classList.add(improved ? 'positive' : 'negative');
+            }
+        }
+    }
+
+    // Interactive Feature Handlers
+    setupInteractiveFeatures() {
+        this.setupChartInteractions();
+        this.setupFilterControls();
+        this.setupExportOptions();
         this.setupDataRefresh();
     }
 
-    setupChartInteractions() {
-        Object.values(this.charts).forEach(chart => {
-            chart.canvas.addEventListener('click', (event) => {
-                const elements = chart.getElementsAtEventForMode(event, 'nearest', { intersect: true }, false);
-                if (elements.length) {
-                    this.handleChartClick(chart, elements[0]);
-                }
+    setupChartInteractions() {
+        Object.values(this.charts).forEach(chart => {
+            chart.canvas.addEventListener('click', (event) => {
+                const elements = chart.getElementsAtEventForMode(event, 'nearest', { intersect: true }, false);
+                if (elements.length) {
+                    this.handleChartClick(chart, elements[0]);
+                }
+            });
+        });
+    }
+
+    handleChartClick(chart, element) {
+        const datasetIndex = element.datasetIndex;
+        const index = element.index;
+        // Comparison overlays have no rows of their own in the current range
+        if (chart.data.datasets[datasetIndex].comparison) return;
+
+        const value = chart.data.datasets[datasetIndex].data[index];
+        
+        // Show detailed view for clicked data point
+        this.showDetailedView({
+            label: chart.data.labels[index],
+            value: value,
+            dataset: chart.data.datasets[datasetIndex].label,
+            additionalData: this.getAdditionalDataForPoint(chart.id, index, datasetIndex)
+        });
+    }
+
+    // Resolve the project/issue rows behind a clicked chart element
+    getAdditionalDataForPoint(chartId, index, datasetIndex) {
+        const { filteredData, processedData } = this.data;
+        if (!processedData) return { source: 'projectStatus', rows: [] };
+
+        const chartKey = Object.keys(this.charts).find(key => this.charts[key].id === chartId);
+        const chart = this.charts[chartKey];
+        const label = chart.data.labels[index];
+        const datasetLabel = chart.data.datasets[datasetIndex].label;
+        const projects = this.filterDataByDateRange(filteredData.projectStatus);
+        const projectRows = rows => ({ source: 'projectStatus', rows: rows || [] });
+
+        switch (chartKey) {
+            case 'projectVolume': {
+                const bucket = processedData.planning.projectVolume.timeline[label] || [];
+                return projectRows(datasetIndex === 1 ? bucket.filter(p => p.status === 'Active') : bucket);
+            }
+            case 'turnaroundTimes':
+                return projectRows(projects.filter(p => p.status === 'Completed' && p.type === label));
+            case 'statusOverview':
+                return projectRows(projects.filter(p => p.status === label));
+            case 'executionMetrics':
+                return projectRows(datasetIndex === 1
+                    ? this.filterDataByDateRange(filteredData.projectStatus, this.getComparisonDateRange())
+                    : projects);
+            case 'timelineAnalytics': {
+                const bucket = processedData.productivity.timelineAnalytics.timeline[label] || [];
+                if (datasetIndex === 0) return projectRows(bucket.filter(p => this.calculateDelayDays(p) <= 0));
+                if (datasetIndex === 1) return projectRows(bucket.filter(p => this.calculateDelayDays(p) > 0));
+                return projectRows(bucket);
+            }
+            case 'resourceUtilization':
+                return projectRows(projects.filter(p => (p.team || 'Unassigned') === label));
+            case 'projectDistribution':
+                return projectRows(projects.filter(p => (p[this.distributionDimension] || 'Unspecified') === label));
+            case 'geographicAnalysis':
+                return projectRows(projects.filter(p => p.region === datasetLabel));
+            case 'trendAnalysis':
+            case 'riskTrend':
+                return projectRows(this.generateTimelineData(projects, 'drilldown')[label]);
+            case 'defectTracking': {
+                const bucket = processedData.quality.defects.timeline[label] || [];
+                return {
+                    source: 'issuesReport',
+                    rows: bucket.filter(issue => this.normalizeSeverity(issue.severity) === datasetLabel)
+                };
+            }
+            case 'qualityScores':
+                return projectRows(processedData.quality.quality.timeline[label]);
+            case 'complianceMetrics': {
+                const bucket = processedData.quality.compliance.timeline[label] || [];
+                return projectRows(datasetIndex === 0 ? bucket.filter(p => this.countViolations(p) > 0) : bucket);
+            }
+            default:
+                return projectRows([]);
+        }
+    }
+
+    // Detail Drawer
+    setupDetailDrawer() {
+        this.detailDrawer = document.getElementById('detail-drawer');
+        this.detailView = null;
+
+        this.detailDrawer.querySelector('.close-detail-drawer').addEventListener('click', () => {
+            this.hideDetailedView();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.detailView) {
+                this.hideDetailedView();
+            }
+        });
+
+        this.detailDrawer.querySelector('.detail-search').addEventListener('input', this.debounce((e) => {
+            // The drawer may have been closed while the debounce was pending
+            if (!this.detailView) return;
+
+            this.detailView.search = e.target.value.trim().toLowerCase();
+            this.renderDetailRows();
+        }, 200));
+
+        this.detailDrawer.querySelector('thead').addEventListener('click', (e) => {
+            const column = e.target.closest('th')?.dataset.column;
+            if (!column) return;
+
+            const { sort } = this.detailView;
+            this.detailView.sort = {
+                column,
+                direction: sort.column === column && sort.direction === 'asc' ? 'desc' : 'asc'
+            };
+            this.renderDetailRows();
+        });
+
+        document.getElementById('export-detail-rows').addEventListener('click', () => {
+            this.exportDetailRows();
+        });
+    }
+
+    showDetailedView({ label, value, dataset, additionalData }) {
+        const { source, rows } = additionalData;
+
+        this.detailView = {
+            title: [label, dataset].filter(Boolean).join(' · '),
+            source,
+            rows,
+            columns: this.getRowColumns(source, rows),
+            sort: { column: null, direction: 'asc' },
+            search: ''
+        };
+
+        const valueText = typeof value === 'object' && value !== null ? value.y : value;
+        this.detailDrawer.querySelector('.detail-title').textContent = this.detailView.title;
+        this.detailDrawer.querySelector('.detail-subtitle').textContent =
+            `${valueText ?? ''} · ${DATA_SOURCE_CONFIG.files[source]}`;
+        this.detailDrawer.querySelector('.detail-search').value = '';
+
+        const headRow = this.detailDrawer.querySelector('thead tr');
+        headRow.innerHTML = '';
+        this.detailView.columns.forEach(column => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.dataset.column = column;
+            th.textContent = column;
+            headRow.appendChild(th);
+        });
+
+        this.renderDetailRows();
+        this.detailDrawer.classList.remove('hidden');
+    }
+
+    hideDetailedView() {
+        this.detailView = null;
+        this.detailDrawer.classList.add('hidden');
+    }
+
+    // Mapped fields with a value in at least one row, in mapping order, then any extra spreadsheet columns
+    getRowColumns(source, rows) {
+        const mappedFields = Object.keys(COLUMN_MAPPINGS[source]);
+        const presentFields = new Set();
+        rows.forEach(row => Object.keys(row).forEach(key => {
+            if (row[key] !== null && row[key] !== undefined && row[key] !== '') presentFields.add(key);
+        }));
+
+        return [
+            ...mappedFields.filter(field => presentFields.has(field)),
+            ...[...presentFields].filter(field => !mappedFields.includes(field))
+        ];
+    }
+
+    // Rows in the drawer after search and sort are applied
+    getVisibleDetailRows() {
+        const { rows, columns, sort, search } = this.detailView;
+        return this.searchAndSortRows(rows, columns, sort, search);
+    }
+
+    // Case-insensitive match in any of the columns, then a stable sort with empty values last
+    searchAndSortRows(rows, columns, sort, search) {
+        const visible = search
+            ? rows.filter(row => columns.some(column =>
+                String(row[column] ?? '').toLowerCase().includes(search)))
+            : [...rows];
+
+        if (sort.column) {
+            const direction = sort.direction === 'asc' ? 1 : -1;
+            visible.sort((a, b) => {
+                const x = a[sort.column];
+                const y = b[sort.column];
+                if (x === y) return 0;
+                if (x === null || x === undefined || x === '') return 1;
+                if (y === null || y === undefined || y === '') return -1;
+                if (typeof x === 'number' && typeof y === 'number') return (x - y) * direction;
+                return String(x).localeCompare(String(y), undefined, { numeric: true }) * direction;
+            });
+        }
+
+        return visible;
+    }
+
+    renderDetailRows() {
+        const { columns, sort } = this.detailView;
+        const visible = this.getVisibleDetailRows();
+
+        this.detailDrawer.querySelectorAll('thead th').forEach(th => {
+            const sorted = th.dataset.column === sort.column;
+            th.classList.toggle('sorted-asc', sorted && sort.direction === 'asc');
+            th.classList.toggle('sorted-desc', sorted && sort.direction === 'desc');
+        });
+
+        const tbody = this.detailDrawer.querySelector('tbody');
+        tbody.innerHTML = '';
+        visible.forEach(row => {
+            const tr = document.createElement('tr');
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                td.textContent = row[column] ?? '';
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        this.detailDrawer.querySelector('.detail-count').textContent =
+            `${visible.length} of ${this.detailView.rows.length} rows`;
+    }
+
+    exportDetailRows() {
+        try {
+            if (!this.detailView) return;
+
+            const { columns } = this.detailView;
+            const rows = this.getVisibleDetailRows().map(row =>
+                columns.reduce((acc, column) => {
+                    acc[column] = row[column] ?? '';
+                    return acc;
+                }, {})
+            );
+
+            const timestamp = moment().format('YYYY-MM-DD_HH-mm');
+            this.exportToExcel({ Details: rows }, `dashboard_details_${timestamp}.xlsx`);
+        } catch (error) {
+            console.error('Detail export failed:', error);
+            this.showError('Failed to export selected rows');
+        }
+    }
+
+    // Data Grid - filtered rows for the current view below each tab, with sort, search, column picker and
+    // paging. Source, sort, search and page are kept per tab; page size and hidden columns are shared.
+    setupDataGrid() {
+        this.dataGrid = document.getElementById('data-grid');
+        this.gridViews = {};
+        this.gridCaches = {};
+        this.gridPageSize = GRID_CONFIG.defaultPageSize;
+        this.gridHiddenColumns = this.loadGridHiddenColumns();
+        this.gridRendered = { tab: null, columnsKey: null };
+
+        // Sorting, searching or resizing starts again from the first page
+        const update = changes => {
+            Object.assign(this.getGridView(), { page: 1 }, changes);
+            this.renderDataGrid();
+        };
+
+        this.dataGrid.querySelector('.grid-source').addEventListener('change', (e) => {
+            update({ source: e.target.value, sort: { column: null, direction: 'asc' } });
+        });
+
+        this.dataGrid.querySelector('.grid-search').addEventListener('input', this.debounce((e) => {
+            update({ search: e.target.value.trim().toLowerCase() });
+        }, 200));
+
+        const pageSize = this.dataGrid.querySelector('.grid-page-size');
+        GRID_CONFIG.pageSizes.forEach(size => pageSize.add(new Option(`${size} per page`, size)));
+        pageSize.value = this.gridPageSize;
+        pageSize.addEventListener('change', (e) => {
+            this.gridPageSize = Number(e.target.value);
+            update({});
+        });
+
+        this.dataGrid.querySelector('thead').addEventListener('click', (e) => {
+            const column = e.target.closest('th')?.dataset.column;
+            if (!column) return;
+
+            const { sort } = this.getGridView();
+            update({
+                sort: {
+                    column,
+                    direction: sort.column === column && sort.direction === 'asc' ? 'desc' : 'asc'
+                }
+            });
+        });
+
+        // Paging only swaps the rows of the table
+        this.dataGrid.querySelector('.grid-pager').addEventListener('click', (e) => {
+            const step = Number(e.target.closest('button')?.dataset.step);
+            if (!step) return;
+
+            this.getGridView().page += step;
+            this.renderGridPage();
+        });
+
+        this.dataGrid.querySelector('.grid-columns').addEventListener('change', (e) => {
+            const { source } = this.getGridView();
+            const hidden = new Set(this.gridHiddenColumns[source]);
+            if (e.target.checked) {
+                hidden.delete(e.target.value);
+            } else {
+                hidden.add(e.target.value);
+            }
+            this.gridHiddenColumns[source] = [...hidden];
+            this.persistGridHiddenColumns();
+            this.renderDataGrid();
+        });
+
+        document.getElementById('export-grid-csv').addEventListener('click', () => {
+            this.exportDataGrid();
+        });
+    }
+
+    // Grid state of the active tab, created with that tab's default dataset
+    getGridView(tab = this.currentTab) {
+        if (!this.gridViews[tab]) {
+            this.gridViews[tab] = {
+                source: GRID_CONFIG.tabSources[tab] || 'projectStatus',
+                sort: { column: null, direction: 'asc' },
+                search: '',
+                page: 1
+            };
+        }
+        return this.gridViews[tab];
+    }
+
+    // Hidden columns are remembered per dataset
+    loadGridHiddenColumns() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(GRID_CONFIG.storageKey));
+            if (stored && typeof stored === 'object') {
+                return Object.fromEntries(Object.keys(COLUMN_MAPPINGS)
+                    .filter(source => Array.isArray(stored[source]))
+                    .map(source => [source, stored[source].map(String)]));
+            }
+        } catch (error) {
+            console.warn('Failed to load grid columns:', error);
+        }
+        return {};
+    }
+
+    persistGridHiddenColumns() {
+        try {
+            localStorage.setItem(GRID_CONFIG.storageKey, JSON.stringify(this.gridHiddenColumns));
+        } catch (error) {
+            console.warn('Failed to persist grid columns:', error);
+        }
+    }
+
+    // The same rows the charts use: global filters and region scope, then the selected date range.
+    // Rows and their columns are cached per tab until the data, dataset or range changes; the
+    // searched and sorted rows until the columns, sort or search change as well.
+    getGridState() {
+        const { source, sort, search } = this.getGridView();
+        const cache = this.gridCaches[this.currentTab] || (this.gridCaches[this.currentTab] = {});
+
+        const rowsKey = JSON.stringify([
+            source,
+            this.dateRange.start.format('YYYY-MM-DD'),
+            this.dateRange.end.format('YYYY-MM-DD')
+        ]);
+        if (cache.filteredData !== this.data.filteredData || cache.rowsKey !== rowsKey) {
+            const rows = this.filterDataByDateRange(this.data.filteredData[source], this.dateRange);
+            Object.assign(cache, {
+                filteredData: this.data.filteredData,
+                rowsKey,
+                rows,
+                allColumns: this.getRowColumns(source, rows),
+                visibleKey: null
+            });
+        }
+
+        const hidden = this.gridHiddenColumns[source] || [];
+        const columns = cache.allColumns.filter(column => !hidden.includes(column));
+        const visibleKey = JSON.stringify([columns, sort, search]);
+        if (cache.visibleKey !== visibleKey) {
+            cache.visible = this.searchAndSortRows(cache.rows, columns, sort, search);
+            cache.visibleKey = visibleKey;
+        }
+
+        return { rows: cache.rows, allColumns: cache.allColumns, columns, visible: cache.visible };
+    }
+
+    renderDataGrid() {
+        if (!this.data.filteredData) return;
+
+        const view = this.getGridView();
+        const { allColumns, columns } = this.getGridState();
+
+        // Controls follow the tab; the search box is left alone while the user types in it
+        if (this.gridRendered.tab !== this.currentTab) {
+            this.dataGrid.querySelector('.grid-source').value = view.source;
+            this.dataGrid.querySelector('.grid-search').value = view.search;
+        }
+
+        // Column picker lists every column, including hidden ones; rebuilt only when they change
+        const columnsKey = JSON.stringify([allColumns, columns]);
+        if (this.gridRendered.columnsKey !== columnsKey) {
+            const options = this.dataGrid.querySelector('.grid-columns .filter-options');
+            options.innerHTML = '';
+            allColumns.forEach(column => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = column;
+                checkbox.checked = columns.includes(column);
+                label.append(checkbox, ` ${column}`);
+                options.appendChild(label);
             });
+            const hiddenCount = allColumns.length - columns.length;
+            this.dataGrid.querySelector('.grid-columns .filter-count').textContent =
+                hiddenCount ? `(${hiddenCount} hidden)` : '';
+        }
+        this.gridRendered = { tab: this.currentTab, columnsKey };
+
+        const headRow = this.dataGrid.querySelector('thead tr');
+        headRow.innerHTML = '';
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.dataset.column = column;
+            th.textContent = column;
+            th.classList.toggle('sorted-asc', view.sort.column === column && view.sort.direction === 'asc');
+            th.classList.toggle('sorted-desc', view.sort.column === column && view.sort.direction === 'desc');
+            headRow.appendChild(th);
         });
+
+        this.renderGridPage();
     }
 
-    handleChartClick(chart, element) {
-        const datasetIndex = element.datasetIndex;
-        const index = element.index;
-        const value = chart.data.datasets[datasetIndex].data[index];
-        
-        // Show detailed view for clicked data point
-        this.showDetailedView({
-            label: chart.data.labels[index],
-            value: value,
-            dataset: chart.data.datasets[datasetIndex].label,
-            additionalData: this.getAdditionalDataForPoint(chart.id, index)
+    renderGridPage() {
+        const view = this.getGridView();
+        const { rows, columns, visible } = this.getGridState();
+        const pageSize = this.gridPageSize;
+
+        const pageCount = Math.max(1, Math.ceil(visible.length / pageSize));
+        view.page = Math.min(Math.max(1, view.page), pageCount);
+        const first = (view.page - 1) * pageSize;
+        const pageRows = visible.slice(first, first + pageSize);
+
+        const tbody = this.dataGrid.querySelector('tbody');
+        tbody.innerHTML = '';
+        pageRows.forEach(row => {
+            const tr = document.createElement('tr');
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                td.textContent = row[column] ?? '';
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
         });
+
+        const matched = visible.length === rows.length ? '' : ` (${rows.length} in range)`;
+        this.dataGrid.querySelector('.grid-count').textContent = visible.length
+            ? `${first + 1}-${first + pageRows.length} of ${visible.length} rows${matched}`
+            : `No rows${matched}`;
+
+        const pager = this.dataGrid.querySelector('.grid-pager');
+        pager.querySelector('.grid-page').textContent = `Page ${view.page} of ${pageCount}`;
+        pager.querySelector('[data-step="-1"]').disabled = view.page === 1;
+        pager.querySelector('[data-step="1"]').disabled = view.page === pageCount;
+    }
+
+    // CSV of the grid as shown - search, sort and visible columns - across all pages
+    exportDataGrid() {
+        try {
+            if (!this.data.filteredData) return;
+
+            const { columns, visible } = this.getGridState();
+            const rows = visible.map(row => columns.reduce((acc, column) => {
+                acc[column] = row[column] ?? '';
+                return acc;
+            }, {}));
+
+            const worksheet = XLSX.utils.json_to_sheet(rows, { header: columns });
+            const timestamp = moment().format('YYYY-MM-DD_HH-mm');
+            const name = DATA_SOURCE_CONFIG.files[this.getGridView().source].replace(/\.\w+$/, '');
+            this.downloadBlob(
+                new Blob([XLSX.utils.sheet_to_csv(worksheet)], { type: 'text/csv' }),
+                `${name}_${timestamp}.csv`
+            );
+        } catch (error) {
+            console.error('Grid export failed:', error);
+            this.showError('Failed to export table rows');
+        }
     }
 
-    // Error Recovery Mechanisms
+    // Error Recovery Mechanisms - exponential backoff: delay, 2 x delay, 4 x delay, ...
     async retryOperation(operation, maxRetries = 3, delay = 1000) {
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
                 return await operation();
             } catch (error) {
                 if (attempt === maxRetries) throw error;
-                await new Promise(resolve => setTimeout(resolve, delay * attempt));
+                console.warn(`Attempt ${attempt} of ${maxRetries} failed, retrying:`, error);
+                await new Promise(resolve => setTimeout(resolve, delay * 2 ** (attempt - 1)));
             }
         }
     }
 
-    handleDataLoadError(error) {
+    // Keep whatever is already on screen; otherwise fall back to the workbook cache
+    async handleDataLoadError(error) {
         console.error('Data loading error:', error);
-        this.showError(`Failed to load data: ${error.message}`);
-        
-        // Attempt to load cached data
-        const cachedData = this.loadFromCache();
-        if (cachedData) {
-            this.data = cachedData;
-            this.updateDashboard();
-            this.showError('Showing cached data due to loading error');
+
+        if (this.data.rawData) {
+            this.setDataFreshness({ offline: true, loadedAt: this.lastUpdate });
+            this.showError(`Failed to refresh data: ${error.message}`);
+            return;
         }
-    }
 
-    // Cache Management
-    saveToCache(data) {
-        try {
-            localStorage.setItem('dashboardData', JSON.stringify({
-                timestamp: new Date().getTime(),
-                data: data
-            }));
-        } catch (error) {
-            console.warn('Failed to cache dashboard data:', error);
+        const cached = await this.loadFromCache();
+        if (!cached) {
+            this.showError(`Failed to load data: ${error.message}`);
+            return;
         }
+
+        await this.applyLoadedData({
+            payloads: cached.payloads,
+            loadedAt: cached.checkedAt,
+            offline: true
+        });
     }
 
-    loadFromCache() {
+    // Cache Management - cached copies of every dataset, or null if any is missing
+    async loadFromCache() {
         try {
-            const cached = localStorage.getItem('dashboardData');
-            if (cached) {
-                const { timestamp, data } = JSON.parse(cached);
-                const age = (new Date().getTime() - timestamp) / (1000 * 60); // age in minutes
-                if (age < 60) { // Cache valid for 1 hour
-                    return data;
-                }
-            }
-            return null;
+            const keys = Object.keys(DATA_SOURCE_CONFIG.files);
+            const entries = await Promise.all(keys.map(key => this.dataSource.loadCached(key)));
+            if (entries.some(entry => !entry)) return null;
+
+            return {
+                payloads: Object.fromEntries(keys.map((key, i) => [key, entries[i].payload])),
+                // The oldest dataset decides how stale the dashboard is
+                checkedAt: new Date(Math.min(...entries.map(entry => entry.checkedAt)))
+            };
         } catch (error) {
             console.warn('Failed to load cached data:', error);
             return null;
         }
     }
 
-    // Performance Optimization Implementations
-    class PerformanceMonitor {
-        constructor() {
-            this.metrics = {
-                renderTimes: [],
-                dataProcessingTimes: [],
-                loadTimes: []
-            };
-            this.maxMetricsLength = 100;
-        }
+    // Stale Data Banner
+    setupStaleDataBanner() {
+        this.staleDataBanner = document.getElementById('stale-data-banner');
 
-        startTimer(operation) {
-            return {
-                start: performance.now(),
-                operation
-            };
-        }
+        this.staleDataBanner.querySelector('.retry-load').addEventListener('click', () => {
+            this.loadData();
+        });
 
-        endTimer(timer) {
-            const duration = performance.now() - timer.start;
-            if (this.metrics[timer.operation]) {
-                this.metrics[timer.operation].push(duration);
-                if (this.metrics[timer.operation].length > this.maxMetricsLength) {
-                    this.metrics[timer.operation].shift();
-                }
+        // Try again as soon as the browser is back online, and keep the age text current
+        window.addEventListener('online', () => {
+            if (this.dataFreshness?.offline || Object.keys(this.dataFreshness?.cachedDatasets || {}).length) {
+                this.loadData();
             }
-            return duration;
-        }
+        });
+        setInterval(() => this.renderDataFreshness(), 60 * 1000);
+    }
 
-        getAverageMetrics() {
-            const averages = {};
-            for (const [operation, times] of Object.entries(this.metrics)) {
-                averages[operation] = times.reduce((a, b) => a + b, 0) / times.length;
-            }
-            return averages;
+    setDataFreshness(freshness) {
+        this.dataFreshness = freshness;
+        this.renderDataFreshness();
+    }
+
+    renderDataFreshness() {
+        const freshness = this.dataFreshness;
+        const ageMinutes = freshness?.loadedAt ? moment().diff(freshness.loadedAt, 'minutes') : 0;
+        const cachedDatasets = Object.entries(freshness?.cachedDatasets || {});
+        const isStale = Boolean(freshness?.offline) || cachedDatasets.length > 0
+            || ageMinutes >= CACHE_CONFIG.staleAfterMinutes;
+
+        this.staleDataBanner.classList.toggle('hidden', !isStale);
+        if (!isStale) return;
+
+        const describeCopy = at => `${moment(at).fromNow()} (${moment(at).format('YYYY-MM-DD HH:mm')})`;
+        let text;
+        if (freshness.offline) {
+            text = `Offline: showing cached data from ${describeCopy(freshness.loadedAt)}.`;
+        } else if (cachedDatasets.length) {
+            // The rest of the dashboard is current; only the datasets that failed to refresh are old
+            const stale = cachedDatasets.map(([datasetKey, checkedAt]) =>
+                `${DATA_SOURCE_CONFIG.files[datasetKey]} - showing the cached copy from ${describeCopy(checkedAt)}`);
+            text = `Could not refresh ${stale.join('; ')}.`;
+        } else {
+            text = `Data was last refreshed ${moment(freshness.loadedAt).fromNow()}.`;
         }
+        this.staleDataBanner.querySelector('.stale-data-text').textContent = text;
     }
 
-    // Data Validation and Sanitization
-    class DataValidator {
-        static validateProjectData(project) {
-            const requiredFields = ['id', 'name', 'startDate', 'status', 'region'];
-            const errors = [];
+    // Initialize Dashboard with all components
+    initializeDashboard() {
+        this.performanceMonitor = new PerformanceMonitor();
+
+        // Initialize all components
+        this.setupEventListeners();
+        this.initializeCharts();
+        this.setupInteractiveFeatures();
 
-            // Check required fields
-            requiredFields.forEach(field => {
-                if (!project[field]) {
-                    errors.push(`Missing required field: ${field}`);
-                }
+        // Load initial data
+        this.loadInitialData().then(() => {
+            console.log('Dashboard initialized successfully');
+        }).catch(error => {
+            console.error('Failed to initialize dashboard:', error);
+            this.handleDataLoadError(error);
+        });
+
+        // Setup periodic refresh
+        this.setupAutoRefresh();
+    }
+
+    setupAutoRefresh() {
+        const refreshInterval = ALERT_CONFIG.autoRefreshMinutes * 60 * 1000;
+        setInterval(() => {
+            this.loadData({ autoRefresh: true }).catch(error => {
+                console.error('Auto-refresh failed:', error);
             });
+        }, refreshInterval);
+    }
+}
 
-            // Validate dates
-            if (project.startDate && !moment(project.startDate).isValid()) {
-                errors.push('Invalid start date');
-            }
-            if (project.endDate && !moment(project.endDate).isValid()) {
-                errors.push('Invalid end date');
-            }
+// Performance Optimization Implementations
+class PerformanceMonitor {
+    constructor() {
+        this.metrics = {
+            renderTimes: [],
+            dataProcessingTimes: [],
+            loadTimes: []
+        };
+        this.maxMetricsLength = 100;
+    }
 
-            // Validate numeric values
-            if (project.budget && isNaN(parseFloat(project.budget))) {
-                errors.push('Invalid budget value');
-            }
+    startTimer(operation) {
+        return {
+            start: performance.now(),
+            operation
+        };
+    }
 
-            return {
-                isValid: errors.length === 0,
-                errors
-            };
+    endTimer(timer) {
+        const duration = performance.now() - timer.start;
+        if (this.metrics[timer.operation]) {
+            this.metrics[timer.operation].push(duration);
+            if (this.metrics[timer.operation].length > this.maxMetricsLength) {
+                this.metrics[timer.operation].shift();
+            }
         }
+        return duration;
+    }
 
-        static sanitizeData(data) {
-            return data.map(item => ({
-                ...item,
-                name: this.sanitizeString(item.name),
-                description: this.sanitizeString(item.description),
-                budget: this.sanitizeNumber(item.budget),
-                status: this.sanitizeString(item.status)
-            }));
+    getAverageMetrics() {
+        const averages = {};
+        for (const [operation, times] of Object.entries(this.metrics)) {
+            averages[operation] = times.reduce((a, b) => a + b, 0) / times.length;
         }
+        return averages;
+    }
+}
+
+// Data Validation and Sanitization
+class DataValidator {
+    static validateProjectData(project) {
+        const requiredFields = ['id', 'name', 'startDate', 'status', 'region'];
+        const errors = [];
 
-        static sanitizeString(str) {
-            if (!str) return '';
-            return str.toString()
-                .trim()
-                .replace(/[<>]/g, '') // Remove potential HTML tags
-                .slice(0, 1000); // Limit string length
+        // Check required fields
+        requiredFields.forEach(field => {
+            if (!project[field]) {
+                errors.push(`Missing required field: ${field}`);
+            }
+        });
+
+        // Validate dates
+        if (project.startDate && !moment(project.startDate).isValid()) {
+            errors.push('Invalid start date');
+        }
+        if (project.endDate && !moment(project.endDate).isValid()) {
+            errors.push('Invalid end date');
         }
 
-        static sanitizeNumber(num) {
-            const parsed = parseFloat(num);
-            return isNaN(parsed) ? 0 : parsed;
+        // Validate numeric values
+        if (project.budget && isNaN(parseFloat(project.budget))) {
+            errors.push('Invalid budget value');
         }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
     }
 
-    // Advanced Filtering Mechanisms
-    class DataFilter {
-        constructor(data) {
-            this.data = data;
-            this.filters = new Map();
-        }
+    static validateIssueData(issue) {
+        const requiredFields = ['id', 'severity', 'date'];
+        const errors = [];
 
-        addFilter(key, predicate) {
-            this.filters.set(key, predicate);
-            return this;
-        }
+        // Check required fields
+        requiredFields.forEach(field => {
+            if (!issue[field]) {
+                errors.push(`Missing required field: ${field}`);
+            }
+        });
 
-        removeFilter(key) {
-            this.filters.delete(key);
-            return this;
+        // Validate dates
+        if (issue.date && !moment(issue.date).isValid()) {
+            errors.push('Invalid date');
         }
-
-        clearFilters() {
-            this.filters.clear();
-            return this;
+        if (issue.resolvedDate && !moment(issue.resolvedDate).isValid()) {
+            errors.push('Invalid resolved date');
         }
 
-        apply() {
-            return this.data.filter(item =>
-                Array.from(this.filters.values())
-                    .every(predicate => predicate(item))
-            );
-        }
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
 
-        static createDateRangeFilter(startDate, endDate, dateField = 'date') {
-            return item => {
-                const itemDate = moment(item[dateField]);
-                return itemDate.isBetween(startDate, endDate, 'day', '[]');
-            };
-        }
+    // Split rows into valid and quarantined, reporting each by its spreadsheet row
+    static partitionRows(rows, validate) {
+        const valid = [];
+        const quarantined = [];
 
-        static createStatusFilter(statuses) {
-            return item => statuses.includes(item.status);
-        }
+        rows.forEach((row, index) => {
+            const { isValid, errors } = validate(row);
+            if (isValid) {
+                valid.push(row);
+            } else {
+                quarantined.push({ row: SchemaNormalizer.getRowNumber(row, index), errors, record: row });
+            }
+        });
 
-        static createRegionFilter(regions) {
-            return item => regions.includes(item.region);
-        }
+        return { valid, quarantined };
     }
 
-    // Dashboard State Management
-    class DashboardState {
-        constructor() {
-            this.state = {
-                currentTab: 'planning',
-                timeframe: 'monthly',
-                dateRange: {
-                    start: moment().subtract(30, 'days'),
-                    end: moment()
-                },
-                filters: {},
-                sortOrder: {},
-                viewPreferences: {}
-            };
+    static sanitizeData(data) {
+        return data.map(item => ({
+            ...item,
+            name: this.sanitizeString(item.name),
+            description: this.sanitizeString(item.description),
+            budget: this.sanitizeNumber(item.budget),
+            status: this.sanitizeString(item.status)
+        }));
+    }
 
-            this.subscribers = new Set();
-        }
+    static sanitizeString(str) {
+        if (!str) return '';
+        return str.toString()
+            .trim()
+            .replace(/[<>]/g, '') // Remove potential HTML tags
+            .slice(0, 1000); // Limit string length
+    }
+
+    static sanitizeNumber(num) {
+        const parsed = parseFloat(num);
+        return isNaN(parsed) ? 0 : parsed;
+    }
+}
+
+// Advanced Filtering Mechanisms
+class DataFilter {
+    constructor(data) {
+        this.data = data;
+        this.filters = new Map();
+    }
+
+    addFilter(key, predicate) {
+        this.filters.set(key, predicate);
+        return this;
+    }
+
+    removeFilter(key) {
+        this.filters.delete(key);
+        return this;
+    }
+
+    clearFilters() {
+        this.filters.clear();
+        return this;
+    }
+
+    apply() {
+        return this.data.filter(item =>
+            Array.from(this.filters.values())
+                .every(predicate => predicate(item))
+        );
+    }
+
+    static createDateRangeFilter(startDate, endDate, dateField = 'date') {
+        return item => {
+            const itemDate = moment(item[dateField]);
+            return itemDate.isBetween(startDate, endDate, 'day', '[]');
+        };
+    }
+
+    static createStatusFilter(statuses) {
+        return item => statuses.includes(item.status);
+    }
+
+    static createRegionFilter(regions) {
+        return item => regions.includes(item.region);
+    }
+
+    static createTypeFilter(types) {
+        return item => types.includes(item.type);
+    }
+
+    static createPriorityFilter(priorities) {
+        return item => priorities.includes(item.priority);
+    }
+}
 
-        updateState(partial) {
-            const oldState = { ...this.state };
-            this.state = {
-                ...this.state,
-                ...partial
+// Dashboard State Management
+class DashboardState {
+    constructor() {
+        this.state = {
+            currentTab: 'planning',
+            timeframe: 'monthly',
+            dateRange: {
+                start: moment().subtract(30, 'days'),
+                end: moment()
+            },
+            filters: DashboardState.createEmptyFilters(),
+            compareMode: 'off',
+            sortOrder: {},
+            viewPreferences: {}
+        };
+
+        this.subscribers = new Set();
+    }
+
+    static createEmptyFilters() {
+        return {
+            status: [],
+            region: [],
+            type: [],
+            priority: []
+        };
+    }
+
+    // JSON turns the moment range into ISO strings; turn them back and keep the filter shape intact
+    static reviveState(state) {
+        const revived = { ...state };
+        if (state.dateRange) {
+            revived.dateRange = {
+                start: moment(state.dateRange.start),
+                end: moment(state.dateRange.end)
             };
-            this.notifySubscribers(oldState);
         }
-
-        subscribe(callback) {
-            this.subscribers.add(callback);
-            return () => this.subscribers.delete(callback);
+        if (state.filters) {
+            revived.filters = {
+                ...DashboardState.createEmptyFilters(),
+                ...state.filters
+            };
         }
+        return revived;
+    }
 
-        notifySubscribers(oldState) {
-            this.subscribers.forEach(callback => callback(this.state, oldState));
-        }
+    // ?tab=quality&timeframe=monthly&start=2024-01-01&end=2024-03-31&region=EU&region=APAC
+    toQueryString() {
+        const params = new URLSearchParams();
+        params.set('tab', this.state.currentTab);
+        params.set('timeframe', this.state.timeframe);
+        params.set('start', this.state.dateRange.start.format('YYYY-MM-DD'));
+        params.set('end', this.state.dateRange.end.format('YYYY-MM-DD'));
 
-        persistState() {
-            try {
-                localStorage.setItem('dashboardState', JSON.stringify(this.state));
-            } catch (error) {
-                console.error('Failed to persist dashboard state:', error);
-            }
+        if (this.state.compareMode !== 'off') {
+            params.set('compare', this.state.compareMode);
         }
 
-        loadPersistedState() {
-            try {
-                const persisted = localStorage.getItem('dashboardState');
-                if (persisted) {
-                    this.state = {
-                        ...this.state,
-                        ...JSON.parse(persisted)
-                    };
-                }
-            } catch (error) {
-                console.error('Failed to load persisted dashboard state:', error);
-            }
+        for (const [field, values] of Object.entries(this.state.filters)) {
+            values.forEach(value => params.append(field, value));
         }
+
+        return params.toString();
     }
 
-    // Additional Utility Functions
-    class DashboardUtils {
-        static formatCurrency(value, currency = 'USD') {
-            return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: currency
-            }).format(value);
-        }
+    // Partial state from a query string; an empty query leaves the current state untouched
+    static fromQueryString(search) {
+        const params = new URLSearchParams(search);
+        if (![...params.keys()].length) return {};
 
-        static formatPercentage(value, decimals = 1) {
-            return `${value.toFixed(decimals)}%`;
+        const partial = {
+            filters: DashboardState.createEmptyFilters()
+        };
+        if (params.get('tab')) partial.currentTab = params.get('tab');
+        if (params.get('timeframe')) partial.timeframe = params.get('timeframe');
+        partial.compareMode = COMPARISON_CONFIG.labels[params.get('compare')] ? params.get('compare') : 'off';
+
+        const start = moment(params.get('start'), 'YYYY-MM-DD', true);
+        const end = moment(params.get('end'), 'YYYY-MM-DD', true);
+        if (start.isValid() && end.isValid()) {
+            partial.dateRange = { start, end: end.endOf('day') };
         }
 
-        static formatDate(date, format = 'YYYY-MM-DD') {
-            return moment(date).format(format);
-        }
+        Object.keys(partial.filters).forEach(field => {
+            partial.filters[field] = params.getAll(field);
+        });
 
-        static calculateGrowth(current, previous) {
-            if (previous === 0) return null;
-            return ((current - previous) / previous) * 100;
-        }
+        return partial;
+    }
+
+    updateState(partial) {
+        const oldState = { ...this.state };
+        this.state = {
+            ...this.state,
+            ...partial
+        };
+        this.notifySubscribers(oldState);
+    }
 
-        static generateTimeSlots(startDate, endDate, interval = 'day') {
-            const slots = [];
-            let current = moment(startDate);
-            const end = moment(endDate);
+    subscribe(callback) {
+        this.subscribers.add(callback);
+        return () => this.subscribers.delete(callback);
+    }
 
-            while (current.isSameOrBefore(end)) {
-                slots.push(current.format('YYYY-MM-DD'));
-                current = current.add(1, interval);
-            }
+    notifySubscribers(oldState) {
+        this.subscribers.forEach(callback => callback(this.state, oldState));
+    }
 
-            return slots;
+    persistState() {
+        try {
+            localStorage.setItem('dashboardState', JSON.stringify(this.state));
+        } catch (error) {
+            console.error('Failed to persist dashboard state:', error);
         }
+    }
 
-        static interpolateMissingValues(data, timeSlots, valueField) {
-            const result = [];
-            let lastValue = 0;
+    loadPersistedState() {
+        try {
+            const persisted = localStorage.getItem('dashboardState');
+            if (persisted) {
+                this.state = {
+                    ...this.state,
+                    ...DashboardState.reviveState(JSON.parse(persisted))
+                };
+            }
+        } catch (error) {
+            console.error('Failed to load persisted dashboard state:', error);
+        }
+    }
+}
 
-            timeSlots.forEach(slot => {
-                const matchingData = data.find(d => d.date === slot);
-                if (matchingData) {
-                    lastValue = matchingData[valueField];
-                    result.push({ date: slot, [valueField]: lastValue });
-                } else {
-                    result.push({ date: slot, [valueField]: lastValue });
-                }
-            });
+// Additional Utility Functions
+class DashboardUtils {
+    static formatCurrency(value, currency = 'USD') {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: currency
+        }).format(value);
+    }
 
-            return result;
-        }
+    static formatPercentage(value, decimals = 1) {
+        return `${value.toFixed(decimals)}%`;
     }
 
-    // Initialize Dashboard with all components
-    initializeDashboard() {
-        this.performanceMonitor = new PerformanceMonitor();
-        this.dashboardState = new DashboardState();
-        this.dashboardState.loadPersistedState();
+    static formatDate(date, format = 'YYYY-MM-DD') {
+        return moment(date).format(format);
+    }
 
-        // Initialize all components
-        this.setupEventListeners();
-        this.initializeCharts();
-        this.setupInteractiveFeatures();
+    static calculateGrowth(current, previous) {
+        if (previous === 0) return null;
+        return ((current - previous) / previous) * 100;
+    }
 
-        // Load initial data
-        this.loadInitialData().then(() => {
-            console.log('Dashboard initialized successfully');
-        }).catch(error => {
-            console.error('Failed to initialize dashboard:', error);
-            this.handleDataLoadError(error);
-        });
+    static generateTimeSlots(startDate, endDate, interval = 'day', step = 1) {
+        const slots = [];
+        let current = moment(startDate);
+        const end = moment(endDate);
 
-        // Setup periodic refresh
-        this.setupAutoRefresh();
+        while (current.isSameOrBefore(end)) {
+            slots.push(current.format('YYYY-MM-DD'));
+            current = current.add(step, interval);
+        }
+
+        return slots;
     }
 
-    setupAutoRefresh() {
-        const refreshInterval = 5 * 60 * 1000; // 5 minutes
-        setInterval(() => {
-            this.loadData().catch(error => {
-                console.error('Auto-refresh failed:', error);
-            });
-        }, refreshInterval);
+    // fill: 'carry' repeats the last known value (null before the first one), 'zero' uses 0, 'gap' uses null
+    static interpolateMissingValues(data, timeSlots, valueField, fill = 'carry') {
+        const result = [];
+        const byDate = new Map(data.map(d => [d.date, d]));
+        let lastValue = null;
+
+        timeSlots.forEach(slot => {
+            const matchingData = byDate.get(slot);
+            if (matchingData) {
+                lastValue = matchingData[valueField];
+                result.push({ date: slot, [valueField]: lastValue });
+            } else if (fill === 'carry') {
+                result.push({ date: slot, [valueField]: lastValue });
+            } else {
+                result.push({ date: slot, [valueField]: fill === 'zero' ? 0 : null });
+            }
+        });
+
+        return result;
     }
 }
 
 // Create and initialize dashboard instance
-document.addEventListener('DOMContentLoaded', async () => {
-    try {
-        // Get authentication token (implement your auth logic here)
-        const token = await AuthService.ensureAuthenticated();
-        
-        // Create and initialize dashboard
-        window.dashboard = new DashboardManager(token);
-        await window.dashboard.initialize();
-        
-        console.log('Dashboard initialized successfully');
-    } catch (error) {
-        console.error('Failed to initialize dashboard:', error);
-        // Handle initialization error
-    }
-});
+// The data worker loads this file too; it has no document and only needs the classes above
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', async () => {
+        try {
+            await loadAppConfig();
+
+            // Signs in via the hosted UI; null means the login screen is showing
+            const token = await AuthService.ensureAuthenticated();
+            if (!token) return;
+
+            // Create and initialize dashboard
+            window.dashboard = new DashboardManager(token);
+            await window.dashboard.initialize();
+
+            console.log('Dashboard initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize dashboard:', error);
+            AuthService.showLoginScreen(`The dashboard could not start: ${error.message}`);
+        }
+    });
+}
 
 // Export the dashboard class for testing
 if (typeof module !== 'undefined' && module.exports) {